@@ -1,3 +1,7 @@
 module.exports = {
-	extends: "eslint-config-cepharum"
+	extends: "eslint-config-cepharum",
+	globals: {
+		AbortController: "readonly",
+		AggregateError: "readonly",
+	},
 };
@@ -1,16 +1,171 @@
 declare module "promise-essentials" {
-    import { Readable } from "stream";
+    import { Readable, Transform } from "stream";
 
     // @ts-ignore
-    type Iterable = Array<any> | object | string | Buffer | Map<any,any>;
+    type Iterable = Array<any> | object | string | Buffer | Map<any,any> | Set<any> | { [Symbol.iterator](): Iterator<any> } | { [Symbol.asyncIterator](): AsyncIterator<any> };
+
+    /** Describes signal compatible with standard AbortSignal. */
+    interface AbortSignalLike {
+        readonly aborted: boolean;
+        readonly reason?: any;
+        addEventListener( type: "abort", listener: () => void, options?: { once?: boolean } ): void;
+        removeEventListener( type: "abort", listener: () => void ): void;
+    }
+
+    /** Marks rejection due to an aborted operation. */
+    class AbortError extends Error {
+        constructor( reason?: any );
+
+        /** Fixed error code "ABORT_ERR". */
+        code: string;
+
+        /** Reason provided by aborted signal. */
+        reason: any;
+    }
+
+    /** Marks rejection due to an operation taking too long. */
+    class TimeoutError extends Error {
+        constructor( message: string, elapsed: number );
+
+        /** Fixed error code "ETIMEDOUT". */
+        code: string;
+
+        /** Number of milliseconds elapsed before timing out. */
+        elapsed: number;
+    }
+
+    /** Marks final failure of an operation after retrying it. */
+    class RetryError extends Error {
+        constructor( errors: Array<any> );
+
+        /** Errors of all failed attempts in order of occurrence. */
+        errors: Array<any>;
+
+        /** Number of failed attempts. */
+        attempts: number;
+
+        /** Error of last failed attempt. */
+        cause: any;
+    }
+
+    /** Marks failure of an iterating helper's callback on a particular item. */
+    class IterationError extends Error {
+        constructor( cause: any, key: any, index: number, item: any );
+
+        /** Error thrown by callback. */
+        cause: any;
+
+        /** Key of item in collection. */
+        key: any;
+
+        /** Index of item into collection. */
+        index: number;
+
+        /** Item callback has failed on. */
+        item: any;
+    }
+
+    /** Describes progress of processing items. */
+    interface ProgressReport {
+        /** Number of processed items. */
+        done: number;
+
+        /** Total number of items, undefined if unknown. */
+        total?: number;
+
+        /** Key of item processed last. */
+        key: any;
+
+        /** Number of milliseconds elapsed since start of processing. */
+        elapsed: number;
+
+        /** Estimated number of milliseconds until processing has finished, undefined if unknown. */
+        eta?: number;
+    }
+
+    interface ProgressOptions {
+        /** Invoked with progress report after every processed item. */
+        onProgress?: ( report: ProgressReport ) => void;
+
+        /** Minimum number of milliseconds between progress reports. [default: 0] */
+        progressInterval?: number;
+    }
+
+    interface CollectErrorsOptions {
+        /** Set "collect" to continue iteration on callback failing and eventually reject with AggregateError. [default: "reject"] */
+        errors?: "reject" | "collect";
+    }
+
+    /** Marks malformed input at a particular position. */
+    class ParseError extends Error {
+        constructor( message: string, line: number, column: number );
+
+        /** Number of line containing malformed input, starting at 1. */
+        line: number;
+
+        /** Number of character in line, starting at 1. */
+        column: number;
+    }
+
+    /** Marks rejection due to exceeding a limit on size of data. */
+    class LimitExceededError extends Error {
+        constructor( limit: number, unit: string );
+
+        /** Exceeded limit. */
+        limit: number;
+
+        /** Unit of limit, either "bytes" or "items". */
+        unit: string;
+    }
+
+    /** Marks rejection due to an open circuit breaker failing fast. */
+    class CircuitOpenError extends Error {
+        constructor( remaining: number );
+
+        /** Number of milliseconds until circuit breaker is probing again. */
+        remaining: number;
+    }
 
     /** Processes provided item. */
-    type IterationHandler = ( item: any, index: number, iterable: Iterable ) => ( any | Promise<any> );
+    type IterationHandler = ( item: any, index: number, iterable: Iterable, signal?: AbortSignalLike ) => ( any | Promise<any> );
 
     /** Tests provided item for matching some criteria returning test result as boolean. */
-    type IterationDecisionHandler = ( item: any, index: number, iterable: Iterable ) => ( boolean | Promise<boolean> );
+    type IterationDecisionHandler = ( item: any, index: number, iterable: Iterable, signal?: AbortSignalLike ) => ( boolean | Promise<boolean> );
+
+    interface AbortOptions {
+        /** Signal for aborting operation resulting in rejection with AbortError. Signal is passed on to invoked callbacks. */
+        signal?: AbortSignalLike;
+    }
+
+    interface ConcurrencyOptions extends AbortOptions {
+        /** Limits number of callback invocations running simultaneously while still delivering results in order of items. [default: 1] */
+        concurrency?: number;
+    }
+
+    interface RateLimit {
+        /** Number of invocations permitted per interval. */
+        perInterval: number;
+
+        /** Duration of interval in milliseconds. [default: 1000] */
+        interval?: number;
 
-    interface EachOptions {
+        /** Maximum number of invocations permitted at once. [default: perInterval] */
+        burst?: number;
+    }
+
+    /** Function returned by `rateLimit()`. */
+    type RateLimiter = ( ...args: any ) => Promise<any>;
+
+    interface RateLimitedOptions {
+        /**
+         * Limits rate of callback invocations using token bucket. Limits given
+         * as object apply to a single call, only. Provide function returned by
+         * `rateLimit()` for sharing its limit. [default: no limit]
+         */
+        rate?: RateLimit | RateLimiter;
+    }
+
+    interface EachOptions extends ConcurrencyOptions, RateLimitedOptions, CollectErrorsOptions, ProgressOptions {
         /** Controls whether to prematurely stop iteration on truthy or falsy return from IterationHandler. [default: nevet stop prematurely] */
         stopOnReturn?: boolean;
     }
@@ -20,7 +175,7 @@ declare module "promise-essentials" {
      * callback to complete before advancing.
      *
      * @note This method is capable of handling array-like collections, too.
-     * @note Items are processed sequentially.
+     * @note Items are processed sequentially unless option `concurrency` is set.
      * @note Unless setting option `stopOnReturn` any result of invoked callback
      *       other than a promise for deferred delivery of result is ignored.
      *
@@ -29,42 +184,49 @@ declare module "promise-essentials" {
      * @param options behaviour customizations
      * @returns promises provided iterable or boolean information on whether iteration has been stopped prematurely or not
      */
-    function each( iterable: Iterable, callback: IterationHandler, options: EachOptions ): Promise<Iterable | boolean>;
+    function each( iterable: Iterable, callback: IterationHandler, options?: EachOptions ): Promise<Iterable | boolean>;
 
     /**
      * Tests if at least one item exists in provided iterable matching criteria
      * tested in a given callback.
      *
-     * @note This method is using each() internally.
+     * @note On concurrent test, promise is resolved on first matching item no
+     *       matter which item is processed first.
      *
      * @param iterable collection of items to be enumerated
      * @param callback handler invoked per enumerated item of collection to decide whether item is matching some criteria
+     * @param options behaviour customizations
      * @returns promises true if item exists in collection matching criteria tested in callback
      */
-    function some( iterable: Iterable, callback: IterationDecisionHandler ): Promise<boolean>;
+    function some( iterable: Iterable, callback: IterationDecisionHandler, options?: ConcurrencyOptions ): Promise<boolean>;
 
     /**
      * Tests if all items of provided iterable are matching criteria tested in a
      * given callback.
      *
-     * @note This method is using each() internally.
+     * @note On concurrent test, promise is resolved on first mismatching item
+     *       no matter which item is processed first.
      *
      * @param iterable collection of items to be enumerated
      * @param callback handler invoked per enumerated item of collection to decide whether item is matching some criteria
+     * @param options behaviour customizations
      * @returns promises true iff all items of provided iterable pass test implemented in given callback
      */
-    function every( iterable: Iterable, callback: IterationDecisionHandler ): Promise<boolean>;
+    function every( iterable: Iterable, callback: IterationDecisionHandler, options?: ConcurrencyOptions ): Promise<boolean>;
 
-    interface FilterOptions {
+    interface FilterOptions extends ConcurrencyOptions, RateLimitedOptions, ProgressOptions {
         /** Controls whether resulting collection is provided as array instead of matching provided one by type as good as possible. [default: false] */
         asArray?: boolean;
+
+        /** Controls whether collecting settlement descriptors instead of rejecting on callback failing. [default: false] */
+        settle?: boolean;
     }
 
     /**
      * Extracts subset of items in provided iterable matching criteria
      * implemented in a given callback invoked per item.
      *
-     * @note Items are processed sequentially.
+     * @note Items are processed sequentially unless option `concurrency` is set.
      *
      * @param iterable collection of items to be enumerated
      * @param callback handler invoked per enumerated item of collection to decide whether item is included with resulting collection or not
@@ -73,16 +235,19 @@ declare module "promise-essentials" {
      */
     function filter( iterable: Iterable, callback: IterationDecisionHandler, options?: FilterOptions ): Promise<Iterable | Array<any>>;
 
-    interface MapOptions {
+    interface MapOptions extends ConcurrencyOptions, RateLimitedOptions, CollectErrorsOptions, ProgressOptions {
         /** Controls whether resulting collection is provided as array instead of matching provided one by type as good as possible. [default: false] */
         asArray?: boolean;
+
+        /** Controls whether collecting settlement descriptors instead of rejecting on callback failing. [default: false] */
+        settle?: boolean;
     }
 
     /**
      * Maps every item of provided iterable onto different item provided by
      * callback.
      *
-     * @note Items are processed sequentially.
+     * @note Items are processed sequentially unless option `concurrency` is set.
      *
      * @param iterable collection of items to be enumerated
      * @param callback handler invoked per enumerated item of collection to deliver item replacing provided one in resulting collection
@@ -95,8 +260,9 @@ declare module "promise-essentials" {
      * Maps every item of provided iterable onto different item provided by
      * callback.
      *
-     * @note In opposition to map() all items are processed in parallel. Thus,
-     *       you should use this method with smaller collections, only.
+     * @note In opposition to map() all items are processed in parallel unless
+     *       option `concurrency` is set. Thus, you should use this method with
+     *       smaller collections, only.
      *
      * @param iterable collection of items to be enumerated
      * @param callback handler invoked per enumerated item of collection to deliver item replacing provided one in resulting collection
@@ -105,7 +271,67 @@ declare module "promise-essentials" {
      */
     function multiMap( iterable: Iterable, callback: IterationHandler, options?: MapOptions ): Promise<Iterable | Array<any>>;
 
-    interface FindOptions {
+    /** Describes settlement of a callback's result. */
+    type SettledResult<T = any> = { status: "fulfilled", value: T } | { status: "rejected", reason: any };
+
+    /**
+     * Maps every item of provided iterable onto settlement descriptor of
+     * result provided by callback.
+     *
+     * @param iterable collection of items to map
+     * @param callback callback invoked per item
+     * @param options behaviour customizations
+     * @returns promises collection of settlement descriptors, never rejected due to callback failing
+     */
+    function mapSettled( iterable: Iterable, callback: IterationHandler, options?: MapOptions ): Promise<Iterable | Array<SettledResult>>;
+
+    interface PropsOptions extends AbortOptions {
+        /** Set true to resolve promises in nested arrays, plain objects and Maps, rejecting circular structures. [default: false] */
+        deep?: boolean;
+
+        /** Set true to invoke functions found in place of values for fetching either value. [default: false] */
+        invoke?: boolean;
+
+        /** Maximum number of functions invoked simultaneously, ignored unless `invoke` is set. [default: Infinity] */
+        concurrency?: number;
+    }
+
+    /** Describes value a property resolves to, invoking functions if I is true. */
+    type ResolvedProp<V, I extends boolean = false> = I extends true
+        ? ( V extends ( ...args: any ) => infer R ? Awaited<R> : Awaited<V> )
+        : Awaited<V>;
+
+    /** Describes object or Map with all its values resolved. */
+    type ResolvedProps<T, I extends boolean = false> = T extends Map<infer K, infer V>
+        ? Map<K, ResolvedProp<V, I>>
+        : { [K in keyof T]: ResolvedProp<T[K], I> };
+
+    /** Describes value a property resolves to in deep mode. */
+    type DeepResolvedProp<V, I extends boolean = false> = DeepResolvedProps<ResolvedProp<V, I>, I>;
+
+    /** Describes structure with all its values resolved at every level. */
+    type DeepResolvedProps<T, I extends boolean = false> = T extends ( ...args: any ) => any ? T
+        : T extends Map<infer K, infer V> ? Map<K, DeepResolvedProp<V, I>>
+        : T extends Array<infer E> ? Array<DeepResolvedProp<E, I>>
+        : T extends object ? { [K in keyof T]: DeepResolvedProp<T[K], I> }
+        : T;
+
+    /** Describes result of props() depending on options. */
+    type PropsResult<T, O> = O extends { deep: true }
+        ? DeepResolvedProps<T, O extends { invoke: true } ? true : false>
+        : ResolvedProps<T, O extends { invoke: true } ? true : false>;
+
+    /**
+     * Resolves all promises found in properties of provided object or entries
+     * of provided Map.
+     *
+     * @param source object or Map with promises and/or values
+     * @param options behaviour customizations
+     * @returns promised object or Map of same shape with resolved values
+     */
+    function props<T extends object, O extends PropsOptions = {}>( source: T, options?: O ): Promise<PropsResult<T, O>>;
+
+    interface FindOptions extends ConcurrencyOptions {
         /** Controls whether enumerating collection in reverse order to find last item instead of first one or not. [default: false] */
         getLast?: boolean;
     }
@@ -115,7 +341,9 @@ declare module "promise-essentials" {
      * implemented in provided callback returning that occurrence's index into
      * the collection.
      *
-     * @note Items are processed sequentially.
+     * @note Items are processed sequentially unless option `concurrency` is set.
+     *       On concurrent search, index of first (last) match is promised
+     *       rather than index of match found first.
      *
      * @param iterable collection of items to be enumerated
      * @param callback handler invoked per enumerated item of collection to decide whether item is searched one or not
@@ -128,7 +356,9 @@ declare module "promise-essentials" {
      * Searches iterable collection for first occurrence of item satisfying test
      * implemented in provided callback returning that item.
      *
-     * @note Items are processed sequentially.
+     * @note Items are processed sequentially unless option `concurrency` is set.
+     *       On concurrent search, first (last) match is promised rather than
+     *       match found first.
      *
      * @param iterable collection of items to be enumerated
      * @param callback handler invoked per enumerated item of collection to decide whether item is searched one or not
@@ -137,41 +367,657 @@ declare module "promise-essentials" {
      */
     function find( iterable: Iterable, callback: IterationDecisionHandler, options?: FindOptions ): Promise<any>;
 
+    /** Folds provided item into accumulator returning next accumulator. */
+    type ReductionHandler<T> = ( accumulator: T, item: any, index: number | string, iterable: Iterable, signal?: AbortSignalLike ) => ( T | Promise<T> );
+
+    /**
+     * Sequentially folds all items of provided iterable into single value by
+     * invoking callback with accumulator returned from previous invocation.
+     *
+     * @note Items are processed sequentially.
+     * @note Omitting initial value, first item of collection is used instead.
+     *
+     * @param iterable collection of items to be enumerated
+     * @param callback handler invoked per enumerated item of collection to deliver next accumulator
+     * @returns promises accumulator returned from callback on last item
+     */
+    function reduce<T = any>( iterable: Iterable, callback: ReductionHandler<T> ): Promise<T>;
+
+    /**
+     * Sequentially folds all items of provided iterable into single value by
+     * invoking callback with accumulator returned from previous invocation.
+     *
+     * @note Items are processed sequentially.
+     * @note Options require initial value. Explicitly provided `undefined` is
+     *       used as initial value, too.
+     *
+     * @param iterable collection of items to be enumerated
+     * @param callback handler invoked per enumerated item of collection to deliver next accumulator
+     * @param initial initial value of accumulator, might be promise
+     * @param options behaviour customizations
+     * @returns promises accumulator returned from callback on last item
+     */
+    function reduce<T = any>( iterable: Iterable, callback: ReductionHandler<T>, initial: T | Promise<T>, options?: AbortOptions ): Promise<T>;
+
+    /**
+     * Sequentially folds all items of provided iterable into single value by
+     * invoking callback on items in reverse order with accumulator returned
+     * from previous invocation.
+     *
+     * @note Items are processed sequentially.
+     * @note Omitting initial value, last item of collection is used instead.
+     * @note Lazily iterated collections are fetched completely before invoking
+     *       callback with array of fetched items as iterable.
+     *
+     * @param iterable collection of items to be enumerated
+     * @param callback handler invoked per enumerated item of collection to deliver next accumulator
+     * @returns promises accumulator returned from callback on first item
+     */
+    function reduceRight<T = any>( iterable: Iterable, callback: ReductionHandler<T> ): Promise<T>;
+
+    /**
+     * Sequentially folds all items of provided iterable into single value by
+     * invoking callback on items in reverse order with accumulator returned
+     * from previous invocation.
+     *
+     * @note Items are processed sequentially.
+     * @note Options require initial value. Explicitly provided `undefined` is
+     *       used as initial value, too.
+     * @note Lazily iterated collections are fetched completely before invoking
+     *       callback with array of fetched items as iterable.
+     *
+     * @param iterable collection of items to be enumerated
+     * @param callback handler invoked per enumerated item of collection to deliver next accumulator
+     * @param initial initial value of accumulator, might be promise
+     * @param options behaviour customizations
+     * @returns promises accumulator returned from callback on first item
+     */
+    function reduceRight<T = any>( iterable: Iterable, callback: ReductionHandler<T>, initial: T | Promise<T>, options?: AbortOptions ): Promise<T>;
+
     /**
      * Provides promise resolved with given payload after provided number of
      * milliseconds.
      *
      * @param delayMs number of milliseconds to defer promise's resolution
      * @param payload resolution value of promise
+     * @param options behaviour customizations
      * @returns promise for payload
      */
-    function delay( delayMs: number, payload: any ): Promise<any>;
+    function delay( delayMs: number, payload?: any, options?: AbortOptions ): Promise<any>;
+
+    interface TimeoutOptions<T> extends AbortOptions {
+        /** Custom message of TimeoutError. */
+        message?: string;
+
+        /** Value to resolve with on timeout instead of rejecting with TimeoutError. */
+        fallback?: T;
+    }
+
+    /**
+     * Limits time for waiting on provided promise to settle.
+     *
+     * @note When providing function it is invoked with an AbortSignal aborted
+     *       on timeout for cancelling work in progress.
+     *
+     * @param promiseOrFn promise to wait for or function returning result or promise
+     * @param ms maximum number of milliseconds to wait for promise to settle
+     * @param options behaviour customizations
+     * @returns promises result of provided promise, rejected with TimeoutError if promise takes too long
+     */
+    function timeout<T = any>( promiseOrFn: Promise<T> | ( ( signal: AbortSignalLike ) => ( T | Promise<T> ) ), ms: number, options?: TimeoutOptions<T> ): Promise<T>;
+
+    interface RetryOptions extends AbortOptions {
+        /** Maximum number of retries after first attempt has failed. [default: 3] */
+        retries?: number;
+
+        /** Delay in milliseconds before first retry. [default: 100] */
+        minDelay?: number;
+
+        /** Upper limit of delay in milliseconds before any retry. [default: Infinity] */
+        maxDelay?: number;
+
+        /** Strategy for growing delay on every retry or function computing delay from number of failed attempts. [default: "exponential"] */
+        backoff?: "constant" | "linear" | "exponential" | ( ( attempt: number ) => number );
+
+        /** Base of growth in exponential backoff. [default: 2] */
+        factor?: number;
+
+        /** Randomizes delays. [default: no jitter] */
+        jitter?: "full" | "decorrelated" | null;
+
+        /** Decides whether failure of an attempt should be retried. */
+        shouldRetry?: ( error: any, attempt: number ) => ( boolean | Promise<boolean> );
+
+        /** Invoked prior to waiting for next retry. */
+        onRetry?: ( error: any, attempt: number, delay: number ) => void;
+    }
+
+    /**
+     * Repeatedly invokes provided function until it succeeds or the number of
+     * permitted retries has been exhausted.
+     *
+     * @param fn function invoked per attempt with number of attempt starting at 1
+     * @param options behaviour customizations
+     * @returns promises result of first succeeding attempt, rejected with RetryError on final failure
+     */
+    function retry<T = any>( fn: ( attempt: number, signal?: AbortSignalLike ) => ( T | Promise<T> ), options?: RetryOptions ): Promise<T>;
+
+    /**
+     * Wraps provided function so that invocations of wrapped function are
+     * queued and passed on to provided function at a limited rate.
+     *
+     * @note Returned function may be provided in option `rate` of iterating
+     *       helpers for sharing its limit with their callbacks.
+     *
+     * @param fn function to be rate-limited
+     * @param limit rate limit
+     * @returns provided function returning promise for result of delayed invocation
+     */
+    function rateLimit<T = any>( fn: ( ...args: any ) => ( T | Promise<T> ), limit: RateLimit ): ( ...args: any ) => Promise<T>;
+
+    interface MemoizeOptions {
+        /** Derives cache key from arguments, default: first argument or all arguments serialized as JSON. */
+        key?: ( ...args: any ) => any;
+
+        /** Number of milliseconds a result is cached after settling, default: Infinity. */
+        ttl?: number;
+
+        /** Maximum number of cached results, default: Infinity. */
+        maxSize?: number;
+
+        /** Set true to cache rejections, too. */
+        cacheRejections?: boolean;
+
+        /** Set true to deliver expired result while refreshing it in background. */
+        staleWhileRevalidate?: boolean;
+    }
+
+    interface MemoizedFunction<T> {
+        ( ...args: any ): Promise<T>;
+
+        /** Drops all cached results. */
+        clear(): void;
+
+        /** Drops result cached for provided arguments. */
+        delete( ...args: any ): boolean;
+    }
+
+    /**
+     * Wraps provided function so that results of its invocations are cached
+     * per key derived from arguments.
+     *
+     * @param fn function to be memoized
+     * @param options behaviour customizations
+     * @returns provided function returning promise for cached result
+     */
+    function memoize<T = any>( fn: ( ...args: any ) => ( T | Promise<T> ), options?: MemoizeOptions ): MemoizedFunction<T>;
+
+    interface CircuitBreakerOptions {
+        /** Number of consecutive failures opening the circuit, default: 5. */
+        failureThreshold?: number;
+
+        /** Number of milliseconds to keep circuit open before probing, default: 10000. */
+        resetTimeout?: number;
+
+        /** Number of simultaneous probing invocations while circuit is half-open, default: 1. */
+        halfOpenMax?: number;
+
+        /** Decides whether some error is counted as failure, default: every error. */
+        isFailure?: ( error: any ) => boolean;
+    }
+
+    type CircuitState = "closed" | "open" | "half-open";
+
+    interface CircuitBreakerStats {
+        /** Number of invocations. */
+        calls: number;
+
+        /** Number of succeeding invocations. */
+        successes: number;
+
+        /** Number of invocations failing with an error counted as failure. */
+        failures: number;
+
+        /** Number of invocations rejected with CircuitOpenError. */
+        rejections: number;
+    }
+
+    interface GuardedFunction<T> {
+        ( ...args: any ): Promise<T>;
+
+        /** Current state of circuit. */
+        readonly state: CircuitState;
+
+        /** Snapshot of counters. */
+        readonly stats: CircuitBreakerStats;
+
+        /** Registers listener for events "stateChange", "open", "half-open" and "closed". */
+        on( event: string, listener: ( state: CircuitState, previous: CircuitState ) => void ): GuardedFunction<T>;
+
+        /** Removes previously registered listener. */
+        off( event: string, listener: ( ...args: any ) => void ): GuardedFunction<T>;
+
+        /** Closes circuit. */
+        reset(): void;
+    }
+
+    /**
+     * Wraps provided function so that invocations of wrapped function are
+     * failing fast after provided function has failed repeatedly.
+     *
+     * @param fn function to be guarded
+     * @param options behaviour customizations
+     * @returns provided function returning promise for its result, rejected with CircuitOpenError while circuit is open
+     */
+    function circuitBreaker<T = any>( fn: ( ...args: any ) => ( T | Promise<T> ), options?: CircuitBreakerOptions ): GuardedFunction<T>;
 
     /** Context shared by all invocations of callback provided to process(). */
     interface ProcessContext {}
 
-    type ProcessCallback = ( this: ProcessContext, item: Buffer | object, index: number, stream: Readable ) => ( void | Promise<void> );
+    type ProcessCallback = ( this: ProcessContext, item: Buffer | object, index: number, stream: Readable, signal?: AbortSignalLike ) => ( void | Promise<void> );
+
+    interface ProcessOptions extends AbortOptions, ProgressOptions {
+        /** Maximum number of incomplete callback invocations. [default: 1] */
+        concurrency?: number;
+
+        /** Controls whether results of callback invocations are committed in order of items. [default: false] */
+        ordered?: boolean;
+
+        /** Invoked with result of every callback invocation after commit of preceding result has completed. */
+        commit?: ( this: ProcessContext, result: any, index: number, stream: Readable, signal?: AbortSignalLike ) => ( any | Promise<any> );
+
+        /** Controls whether stream is destroyed on callback failing. [default: false] */
+        destroyOnFailure?: boolean;
+
+        /** Invoked once after processing last item. */
+        flush?: ( this: ProcessContext, stream: Readable, signal?: AbortSignalLike ) => ( any | Promise<any> );
+    }
 
     /**
      * Reads chunks/objects from provided stream invoking provided callback on
      * every read chunk/object for further processing. Stream gets paused while
      * running callback which might return promise to keep delaying stream.
      *
+     * @note On aborting signal provided in options the stream gets destroyed.
+     *
      * @param stream stream to read chunks/objects from
      * @param callback invoked per read chunk/object for processing
+     * @param options behaviour customizations
      * @returns promise for context shared by invocations of processing callback after stream has been processed completely
      */
-    function process( stream: Readable, callback: ProcessCallback ): Promise<any>;
+    function process( stream: Readable, callback?: ProcessCallback, options?: ProcessOptions ): Promise<any>;
+
+    interface CollectOptions extends AbortOptions {
+        /** Encoding for decoding collected buffer into string. [default: none] */
+        encoding?: BufferEncoding;
+
+        /** Maximum number of bytes to collect. [default: Infinity] */
+        maxBytes?: number;
+
+        /** Maximum number of chunks or objects to collect. [default: Infinity] */
+        maxItems?: number;
+    }
+
+    /**
+     * Collects all chunks or objects read from provided stream.
+     *
+     * @param stream stream to read from
+     * @param options behaviour customizations
+     * @returns promises array of objects, concatenated buffer or decoded string, rejected with LimitExceededError on exceeding a limit
+     */
+    function collect( stream: Readable, options?: CollectOptions ): Promise<Buffer | string | Array<any>>;
+
+    interface ProcessLinesOptions extends AbortOptions {
+        /** Encoding of text read from stream. [default: "utf8"] */
+        encoding?: BufferEncoding;
+
+        /** Maximum number of characters per line. [default: Infinity] */
+        maxLineLength?: number;
+
+        /** Invoked once after processing last line. */
+        flush?: ( this: ProcessContext, stream: Readable, signal?: AbortSignalLike ) => ( any | Promise<any> );
+    }
+
+    type ProcessLineCallback = ( this: ProcessContext, line: string, lineNumber: number, stream: Readable, signal?: AbortSignalLike ) => ( void | Promise<void> );
+
+    /**
+     * Asynchronously processes lines of text read from provided stream.
+     *
+     * @param stream stream to read text from
+     * @param callback invoked per line sequentially
+     * @param options behaviour customizations
+     * @returns promises object provided as `this` on invoking callback, rejected with ParseError on exceeding maximum line length
+     */
+    function processLines( stream: Readable, callback: ProcessLineCallback, options?: ProcessLinesOptions ): Promise<any>;
+
+    interface ProcessRecordsOptions extends AbortOptions {
+        /** Format of records. [default: "ndjson"] */
+        format?: "ndjson" | "csv";
+
+        /** Character separating values of record in CSV format. [default: ","] */
+        delimiter?: string;
+
+        /** Controls whether first record of CSV is providing names of columns. [default: true] */
+        header?: boolean;
+
+        /** Encoding of text read from stream. [default: "utf8"] */
+        encoding?: BufferEncoding;
+
+        /** Maximum number of characters per line. [default: Infinity] */
+        maxLineLength?: number;
+    }
+
+    type ProcessRecordCallback = ( this: ProcessContext, record: any, lineNumber: number, stream: Readable, signal?: AbortSignalLike ) => ( void | Promise<void> );
+
+    /**
+     * Asynchronously processes records read from provided stream.
+     *
+     * @param stream stream to read records from
+     * @param callback invoked per record sequentially
+     * @param options behaviour customizations
+     * @returns promises object provided as `this` on invoking callback, rejected with ParseError on malformed input
+     */
+    function processRecords( stream: Readable, callback: ProcessRecordCallback, options?: ProcessRecordsOptions ): Promise<any>;
+
+    interface TransformOptions extends AbortOptions {
+        /** Maximum number of chunks/objects processed simultaneously. [default: 1] */
+        concurrency?: number;
+
+        /** Controls whether results are pushed in order of written chunks/objects. [default: true] */
+        ordered?: boolean;
+
+        /** Controls whether stream is processing objects instead of buffers/strings. [default: true] */
+        objectMode?: boolean;
+    }
+
+    type TransformCallback = ( this: Transform, item: any, index: number, push: ( result: any ) => void, signal?: AbortSignalLike ) => any;
+
+    /**
+     * Creates transform stream asynchronously mapping every written chunk or
+     * object onto results pushed to readable side of stream.
+     *
+     * @param callback invoked per written chunk/object, its result is pushed unless null or undefined
+     * @param options behaviour customizations
+     * @returns created stream
+     */
+    function transform( callback: TransformCallback, options?: TransformOptions ): Transform;
 
     type NonPromisifiedFunction = ( ...args: any ) => any;
     type PromisifiedFunction = ( ...args: any ) => Promise<any>;
 
+    interface PromisifyOptions {
+        /** Set true to promise array of all values passed to callback, provide names to promise object instead. [default: false] */
+        multiArgs?: boolean | Array<string>;
+
+        /** Set false if callback isn't invoked with error in first argument. [default: true] */
+        errorFirst?: boolean;
+    }
+
     /**
      * Wraps Node.js-callback style function to provide promise instead.
      *
      * @param nodeStyleFunction function to be wrapped
      * @param context custom `this` in wrapped function
+     * @param options behaviour customizations
      * @returns provided function returning promise instead of accepting callback in last argument
      */
-    function promisify( nodeStyleFunction: NonPromisifiedFunction, context?: object ): PromisifiedFunction;
+    function promisify( nodeStyleFunction: NonPromisifiedFunction, context?: object, options?: PromisifyOptions ): PromisifiedFunction;
+
+    interface PromisifyAllOptions<S extends string = "Async"> {
+        /** Suffix appended to name of method for naming its promisified sibling. [default: "Async"] */
+        suffix?: S;
+
+        /** Decides whether some method is promisified. [default: methods with identifier name not starting with underscore] */
+        filter?: ( name: string, method: NonPromisifiedFunction, target: object ) => boolean;
+
+        /** Set true to promise array of all values passed to callback, provide names to promise object instead. [default: false] */
+        multiArgs?: boolean | Array<string>;
+    }
+
+    /** Describes promisified variant of method accepting NodeJS-style callback in last argument. */
+    type PromisifiedMethod<F> = F extends ( ...args: [ ...infer A, ( error: any, result: infer R ) => any ] ) => any
+        ? ( ...args: A ) => Promise<R>
+        : PromisifiedFunction;
+
+    /** Describes promisified siblings added to some object for each of its methods. */
+    type PromisifiedMethods<T, S extends string = "Async"> = {
+        [K in keyof T as T[K] extends NonPromisifiedFunction ? `${K & string}${S}` : never]: PromisifiedMethod<T[K]>;
+    };
+
+    /** Describes object or class with promisified siblings added to its methods and prototype methods. */
+    type PromisifiedAll<T, S extends string = "Async"> = T extends { new ( ...args: any ): infer I }
+        ? T & PromisifiedMethods<T, S> & { new ( ...args: ConstructorParameters<T> ): I & PromisifiedMethods<I, S>, prototype: I & PromisifiedMethods<I, S> }
+        : T & PromisifiedMethods<T, S>;
+
+    /**
+     * Adds promisified sibling for every method of provided object, module or
+     * class including methods inherited from prototypes.
+     *
+     * @param target object, module or class to promisify
+     * @param options behaviour customizations
+     * @returns provided target, object derived from it if target isn't extensible
+     */
+    function promisifyAll<T extends object, S extends string = "Async">( target: T, options?: PromisifyAllOptions<S> ): PromisifiedAll<T, S>;
+
+    interface CallbackifyOptions {
+        /** Set true to spread array promised by wrapped function as arguments to callback. [default: false] */
+        multiArgs?: boolean;
+    }
+
+    /** Describes node-style callback invoked with error or result. */
+    type NodeStyleCallback = ( error: Error | null, ...results: any[] ) => void;
+
+    /**
+     * Wraps function returning promise to accept node-style callback in last
+     * argument instead.
+     *
+     * @param promisingFunction function to be wrapped
+     * @param options behaviour customizations
+     * @returns provided function accepting node-style callback in last argument
+     */
+    function callbackify<A extends any[]>( promisingFunction: ( ...args: A ) => any, options?: CallbackifyOptions ): ( ...args: [ ...A, NodeStyleCallback ] ) => void;
+
+    interface DeferOptions {
+        /** Invoked with action and provided value on trying to settle deferred promise again. */
+        onLateSettlement?: ( action: "resolve" | "reject", value: any ) => void;
+    }
+
+    /** Describes promise exposing functions for settling it externally. */
+    interface Deferred<T> {
+        /** Deferred promise. */
+        readonly promise: Promise<T>;
+
+        /**
+         * Resolves deferred promise unless settled before.
+         *
+         * @param value value to fulfil promise with, promise or thenable to adopt
+         * @returns true if promise has been resolved, false if settled before
+         */
+        resolve( value: T | PromiseLike<T> ): boolean;
+
+        /**
+         * Rejects deferred promise unless settled before.
+         *
+         * @param reason reason for rejecting promise
+         * @returns true if promise has been rejected, false if settled before
+         */
+        reject( reason?: any ): boolean;
+
+        /** Indicates if deferred promise has been fulfilled or rejected. */
+        readonly settled: boolean;
+
+        /** Current state of deferred promise. */
+        readonly state: "pending" | "fulfilled" | "rejected";
+    }
+
+    /**
+     * Creates promise along with functions for settling it externally.
+     *
+     * @param options behaviour customizations
+     * @returns deferred promise
+     */
+    function defer<T = any>( options?: DeferOptions ): Deferred<T>;
+
+    interface AcquireOptions extends AbortOptions {
+        /** Maximum number of milliseconds to wait for permits before rejecting with TimeoutError. [default: wait forever] */
+        timeout?: number;
+    }
+
+    /**
+     * Implements semaphore granting limited number of permits to asynchronous
+     * consumers in order of request.
+     */
+    class Semaphore {
+        /**
+         * @param permits number of permits available for acquisition [default: 1]
+         */
+        constructor( permits?: number );
+
+        /** Total number of permits managed by semaphore. */
+        readonly capacity: number;
+
+        /** Number of permits currently available for acquisition. */
+        readonly available: number;
+
+        /** Number of pending requests for acquiring permits. */
+        readonly waiting: number;
+
+        /**
+         * Acquires given number of permits.
+         *
+         * @param weight number of permits to acquire [default: 1]
+         * @param options behaviour customizations
+         * @returns promises permits acquired, rejected with TimeoutError or AbortError when withdrawn
+         */
+        acquire( weight?: number, options?: AcquireOptions ): Promise<void>;
+
+        /**
+         * Instantly acquires given number of permits if available.
+         *
+         * @param weight number of permits to acquire [default: 1]
+         * @returns true if permits have been acquired
+         */
+        tryAcquire( weight?: number ): boolean;
+
+        /**
+         * Releases given number of previously acquired permits.
+         *
+         * @param weight number of permits to release [default: 1]
+         */
+        release( weight?: number ): void;
+
+        /**
+         * Invokes provided function after acquiring given number of permits and
+         * releases them when function's result has settled.
+         *
+         * @param fn function to invoke while holding permits
+         * @param weight number of permits to acquire [default: 1]
+         * @param options behaviour customizations
+         * @returns promises result of provided function
+         */
+        use<T = any>( fn: () => ( T | Promise<T> ), weight?: number, options?: AcquireOptions ): Promise<T>;
+    }
+
+    /**
+     * Implements mutex granting exclusive access to asynchronous consumers in
+     * order of request.
+     */
+    class Mutex {
+        constructor();
+
+        /** Total number of permits managed by mutex, always 1. */
+        readonly capacity: number;
+
+        /** Number of permits currently available, 0 while locked. */
+        readonly available: number;
+
+        /** Number of pending requests for locking mutex. */
+        readonly waiting: number;
+
+        /** Indicates whether mutex is currently locked. */
+        readonly locked: boolean;
+
+        /**
+         * Locks mutex.
+         *
+         * @param options behaviour customizations
+         * @returns promises mutex locked, rejected with TimeoutError or AbortError when withdrawn
+         */
+        acquire( options?: AcquireOptions ): Promise<void>;
+
+        /**
+         * Instantly locks mutex if it isn't locked.
+         *
+         * @returns true if mutex has been locked
+         */
+        tryAcquire(): boolean;
+
+        /** Unlocks mutex. */
+        release(): void;
+
+        /**
+         * Invokes provided function after locking mutex and unlocks it when
+         * function's result has settled.
+         *
+         * @param fn function to invoke while holding lock
+         * @param options behaviour customizations
+         * @returns promises result of provided function
+         */
+        use<T = any>( fn: () => ( T | Promise<T> ), options?: AcquireOptions ): Promise<T>;
+    }
+
+    interface QueueOptions {
+        /** Maximum number of tasks running simultaneously, default: 1. */
+        concurrency?: number;
+        /** Set false to create paused queue, default: true. */
+        autoStart?: boolean;
+    }
+
+    interface QueueTaskOptions extends AbortOptions {
+        /** Priority of task, tasks of higher priority are started first, default: 0. */
+        priority?: number;
+    }
+
+    /**
+     * Runs asynchronous tasks with limited concurrency in order of priority.
+     */
+    class Queue {
+        constructor( options?: QueueOptions );
+
+        /** Maximum number of tasks running simultaneously. */
+        readonly concurrency: number;
+
+        /** Number of tasks waiting for being started. */
+        readonly size: number;
+
+        /** Number of currently running tasks. */
+        readonly pending: number;
+
+        /** Indicates whether queue has been paused. */
+        readonly isPaused: boolean;
+
+        /**
+         * Enqueues task.
+         *
+         * @param task function to invoke, gets signal provided in options
+         * @param options behaviour customizations
+         * @returns promises result of task, rejected with AbortError when withdrawn
+         */
+        add<T = any>( task: ( signal?: AbortSignalLike ) => ( T | Promise<T> ), options?: QueueTaskOptions ): Promise<T>;
+
+        /** Prevents queue from starting any further tasks. */
+        pause(): void;
+
+        /** Resumes paused queue. */
+        resume(): void;
+
+        /** Drops all queued tasks rejecting them with AbortError. */
+        clear(): void;
+
+        /** Promises queue without any queued task. */
+        onEmpty(): Promise<void>;
+
+        /** Promises queue without any queued or running task. */
+        onIdle(): Promise<void>;
+    }
 }
@@ -28,13 +28,167 @@
 
 "use strict";
 
+const { EventEmitter } = require( "events" );
+const Stream = require( "stream" );
+const { StringDecoder } = require( "string_decoder" );
+const { promisify: { custom: customPromisified } } = require( "util" );
+
+const PROMISIFIED = Symbol( "promisified" );
+const RATE_LIMITER = Symbol( "rateLimiter" );
+
+/**
+ * @typedef {function( item:*, index:(number|string), collection:object, signal:AbortSignal=):(Promise<*>|*)} IterationCallbackAny
+ */
+
+/**
+ * @typedef {function( item:*, index:(number|string), collection:object, signal:AbortSignal=):(Promise<boolean>|boolean)} IterationCallbackBoolean
+ */
+
+/**
+ * @typedef {function( accumulator:*, item:*, index:(number|string), collection:object, signal:AbortSignal=):(Promise<*>|*)} ReductionCallback
+ */
+
+/**
+ * @typedef {object} ProgressReport
+ * @property {int} done number of processed items
+ * @property {?int} total total number of items, undefined if unknown
+ * @property {number|string} key key of item processed last
+ * @property {number} elapsed number of milliseconds elapsed since start of processing
+ * @property {?number} eta estimated number of milliseconds until processing has finished, undefined if unknown
+ */
+
+/**
+ * @typedef {object} RateLimit
+ * @property {number} perInterval number of invocations permitted per interval
+ * @property {number} interval duration of interval in milliseconds, defaults to 1000
+ * @property {number} burst maximum number of invocations permitted at once, defaults to perInterval
+ */
+
+/**
+ * Marks rejection due to an aborted operation.
+ */
+class AbortError extends Error {
+	/**
+	 * @param {*} reason reason provided by aborted signal
+	 */
+	constructor( reason ) {
+		super( "operation has been aborted" );
+
+		this.name = "AbortError";
+		this.code = "ABORT_ERR";
+		this.reason = reason;
+	}
+}
+
+/**
+ * Marks rejection due to an operation taking too long.
+ */
+class TimeoutError extends Error {
+	/**
+	 * @param {string} message description of timed out operation
+	 * @param {number} elapsed number of milliseconds elapsed before timing out
+	 */
+	constructor( message, elapsed ) {
+		super( message );
+
+		this.name = "TimeoutError";
+		this.code = "ETIMEDOUT";
+		this.elapsed = elapsed;
+	}
+}
+
+/**
+ * Marks final failure of an operation after retrying it.
+ */
+class RetryError extends Error {
+	/**
+	 * @param {Error[]} errors errors of all failed attempts in order of occurrence
+	 */
+	constructor( errors ) {
+		const last = errors[errors.length - 1];
+
+		super( `giving up after ${errors.length} failed attempt(s): ${last && last.message ? last.message : last}` );
+
+		this.name = "RetryError";
+		this.errors = errors;
+		this.attempts = errors.length;
+		this.cause = last;
+	}
+}
+
+/**
+ * Marks failure of an iterating helper's callback on a particular item.
+ */
+class IterationError extends Error {
+	/**
+	 * @param {*} cause error thrown by callback
+	 * @param {number|string|*} key key of item in collection
+	 * @param {int} index index of item into collection
+	 * @param {*} item item callback has failed on
+	 */
+	constructor( cause, key, index, item ) {
+		super( cause && cause.message ? cause.message : String( cause ) );
+
+		this.name = "IterationError";
+		this.cause = cause;
+		this.key = key;
+		this.index = index;
+		this.item = item;
+	}
+}
+
+/**
+ * Marks malformed input at a particular position.
+ */
+class ParseError extends Error {
+	/**
+	 * @param {string} message description of malformed input
+	 * @param {int} line number of line containing malformed input, starting at 1
+	 * @param {int} column number of character in line, starting at 1
+	 */
+	constructor( message, line, column ) {
+		super( `${message} (line ${line}, column ${column})` );
+
+		this.name = "ParseError";
+		this.code = "EPARSE";
+		this.line = line;
+		this.column = column;
+	}
+}
+
 /**
- * @typedef {function( item:*, index:(number|string), collection:object):(Promise<*>|*)} IterationCallbackAny
+ * Marks rejection due to exceeding a limit on size of data.
  */
+class LimitExceededError extends Error {
+	/**
+	 * @param {number} limit exceeded limit
+	 * @param {string} unit unit of limit, e.g. "bytes" or "items"
+	 */
+	constructor( limit, unit ) {
+		super( `limit of ${limit} ${unit} exceeded` );
+
+		this.name = "LimitExceededError";
+		this.code = "ELIMIT";
+		this.limit = limit;
+		this.unit = unit;
+	}
+}
 
 /**
- * @typedef {function( item:*, index:(number|string), collection:object):(Promise<boolean>|boolean)} IterationCallbackBoolean
+ * Marks rejection due to an open circuit breaker failing fast.
  */
+class CircuitOpenError extends Error {
+	/**
+	 * @param {number} remaining number of milliseconds until circuit breaker is probing again
+	 */
+	constructor( remaining ) {
+		super( "circuit is open" );
+
+		this.name = "CircuitOpenError";
+		this.code = "ECIRCUITOPEN";
+		this.remaining = remaining;
+	}
+}
 
 /**
  * Implements promise-related utility functions.
@@ -49,73 +203,68 @@ class PromiseUtil {
 	 * @param {object} items collection of items to be traversed
 	 * @param {IterationCallbackAny} fn callback invoked per item of collection
 	 * @param {boolean} stopOnReturn set true or false to have iteration stop early on truthy/falsy return from callback
+	 * @param {int} concurrency maximum number of callback invocations running simultaneously
+	 * @param {AbortSignal} signal signal for aborting iteration
+	 * @param {RateLimit|function} rate limits rate of callback invocations, function returned by PromiseUtil.rateLimit() for sharing its limit
+	 * @param {string} errors set "collect" to continue iteration on callback failing and eventually reject with AggregateError
+	 * @param {function(ProgressReport)} onProgress invoked with progress report after every processed item
+	 * @param {number} progressInterval minimum number of milliseconds between progress reports
 	 * @returns {Promise<object|boolean>} promises provided collection after its traversal, true on stopped early, false on stopping early enabled w/o occurring
 	 */
-	static each( items, fn, { stopOnReturn = null } = {} ) {
-		const { indexes, length, useGet } = prepareIteration( items );
+	static each( items, fn, {
+		stopOnReturn = null, concurrency = 1, signal = undefined, rate = null,
+		errors = "reject", onProgress = null, progressInterval = 0,
+	} = {} ) {
+		const context = prepareIteration( items );
+		const collectErrors = normalizeErrorMode( errors );
 
-		return new Promise( function( resolve, reject ) {
-			step( items, indexes, 0, length );
-
-			/**
-			 * Triggers processing of next available item.
-			 *
-			 * @param {object} collection collection to process
-			 * @param {Array} keys list of indexes addressing items of collection
-			 * @param {int} current index into list of indexes addressing current item
-			 * @param {int} stopAt number of items in collection
-			 * @returns {void}
-			 */
-			function step( collection, keys, current, stopAt ) {
-				if ( current < stopAt ) {
-					const key = keys ? keys[current] : current;
-					const item = useGet ? collection.get( key ) : collection[key];
-					let promise;
-
-					if ( item && item instanceof Promise ) {
-						promise = item.then( i => fn( i, key, collection ) );
-					} else {
-						promise = new Promise( done => done( fn( item, key, collection ) ) );
-					}
+		const stop = value => stopOnReturn != null && value != null && Boolean( value ) === stopOnReturn;
 
-					promise
-						.then( value => {
-							if ( stopOnReturn != null && value != null && Boolean( value ) === stopOnReturn ) {
-								resolve( true );
-							} else {
-								process.nextTick( step, collection, keys, current + 1, stopAt );
-							}
-						} )
-						.catch( reject );
-				} else {
-					resolve( stopOnReturn == null ? collection : false );
+		return iterate( items, context, applyRateLimit( fn, rate ), stop, { concurrency, signal, collectErrors, onProgress, progressInterval } )
+			.then( stopped => {
+				if ( stopped ) {
+					return true;
 				}
-			}
-		} );
+
+				return stopOnReturn == null ? items : false;
+			} );
 	}
 
 	/**
 	 * Iterates over collection looking for at least one item satisfying given
 	 * callback by means of causing it to return truthy value.
 	 *
+	 * @note When running callbacks simultaneously, the promise is settled on
+	 *       first satisfying item no matter which item is processed first.
+	 *       Callback isn't invoked on any further item then.
+	 *
 	 * @param {object} items collection of items to traverse
 	 * @param {IterationCallbackBoolean} fn callback invoked per item, returns truthy value if item is satisfying
+	 * @param {int} concurrency maximum number of callback invocations running simultaneously
+	 * @param {AbortSignal} signal signal for aborting iteration
 	 * @returns {Promise<boolean>} promises true if at least one item of collection was satisfying callback, false otherwise
 	 */
-	static some( items, fn ) {
-		return this.each( items, fn, { stopOnReturn: true } );
+	static some( items, fn, { concurrency = 1, signal = undefined } = {} ) {
+		return iterate( items, prepareIteration( items ), fn, result => result != null && Boolean( result ), { concurrency, signal, ordered: false } );
 	}
 
 	/**
 	 * Iterates over collection checking if every item is satisfying provided
 	 * callback by means of causing it to return truthy value on every item.
 	 *
+	 * @note When running callbacks simultaneously, the promise is settled on
+	 *       first item not satisfying callback no matter which item is processed
+	 *       first. Callback isn't invoked on any further item then.
+	 *
 	 * @param {object} items collection of items to traverse
 	 * @param {IterationCallbackBoolean} fn callback invoked per item, returns truthy value if item is satisfying
+	 * @param {int} concurrency maximum number of callback invocations running simultaneously
+	 * @param {AbortSignal} signal signal for aborting iteration
 	 * @returns {Promise<boolean>} promises true if every item of collection was satisfying callback, false otherwise
 	 */
-	static every( items, fn ) {
-		return this.each( items, fn, { stopOnReturn: false } ).then( result => !result );
+	static every( items, fn, { concurrency = 1, signal = undefined } = {} ) {
+		return iterate( items, prepareIteration( items ), fn, result => result != null && !result, { concurrency, signal, ordered: false } )
+			.then( stopped => !stopped );
 	}
 
 	/**
@@ -128,63 +277,50 @@ class PromiseUtil {
 	 * @param {object} items collection of items to filter
 	 * @param {IterationCallbackAny} fn callback invoked per item of collection
 	 * @param {boolean} asArray set true to always fetch an array of kept items, set false to get collection matching provided one by type
+	 * @param {int} concurrency maximum number of callback invocations running simultaneously
+	 * @param {AbortSignal} signal signal for aborting iteration
+	 * @param {RateLimit|function} rate limits rate of callback invocations, function returned by PromiseUtil.rateLimit() for sharing its limit
+	 * @param {boolean} settle set true to collect settlement descriptors of kept items and of items callback failed on instead of rejecting
+	 * @param {function(ProgressReport)} onProgress invoked with progress report after every processed item
+	 * @param {number} progressInterval minimum number of milliseconds between progress reports
 	 * @returns {Promise<object>} promised collection of filtered items
 	 */
-	static filter( items, fn, { asArray = true } = {} ) {
-		const { indexes, length, useGet, collector } = prepareIteration( items, { createCollector: true, asArray } );
-
-		return new Promise( function( resolve, reject ) {
-			step( items, indexes, 0, length, collector, 0 );
-
-			/**
-			 * Triggers processing of next available item.
-			 *
-			 * @param {object} collection collection of items
-			 * @param {Array} keys list of indexes addressing items of collection
-			 * @param {int} current offset of index addressing current item
-			 * @param {int} numItems number of items in collection
-			 * @param {object} result collector for items to keep
-			 * @param {int} writeIndex next item in a sequential collector to write
-			 * @returns {void}
-			 */
-			function step( collection, keys, current, numItems, result, writeIndex ) {
-				if ( current < numItems ) {
-					const key = keys ? keys[current] : current;
-					const item = useGet ? collection.get( key ) : collection[key];
-					let promise;
+	static filter( items, fn, {
+		asArray = true, concurrency = 1, signal = undefined, rate = null,
+		settle = false, onProgress = null, progressInterval = 0,
+	} = {} ) {
+		const context = prepareIteration( items, { createCollector: true, asArray } );
+		const { collector } = context;
+		let writeIndex = 0;
 
-					if ( item instanceof Promise ) {
-						promise = item.then( i => fn( i, key, collection ) );
-					} else {
-						promise = new Promise( done => done( fn( item, key, collection ) ) );
-					}
+		return iterate( items, context, applySettle( applyRateLimit( fn, rate ), settle ), ( result, key, item ) => {
+			let keep = result;
+			let value = item;
 
-					promise
-						.then( keep => {
-							let _writeIndex = writeIndex;
-
-							if ( keep ) {
-								if ( result instanceof Map ) {
-									result.set( key, item );
-								} else if ( Array.isArray( result ) ) {
-									result[_writeIndex++] = item;
-								} else {
-									result[key] = item;
-								}
-							}
+			if ( settle ) {
+				keep = result.status === "rejected" || result.value;
+				value = result.status === "rejected" ? result : { status: "fulfilled", value: item };
+			}
 
-							process.nextTick( step, collection, keys, current + 1, numItems, result, _writeIndex );
-						} )
-						.catch( reject );
+			if ( keep ) {
+				if ( collector instanceof Map ) {
+					collector.set( key, value );
+				} else if ( collector instanceof Set ) {
+					collector.add( value );
+				} else if ( Array.isArray( collector ) ) {
+					collector[writeIndex++] = value;
 				} else {
-					if ( Array.isArray( result ) ) {
-						result.splice( writeIndex, numItems - writeIndex );
-					}
-
-					resolve( result );
+					collector[key] = value;
 				}
 			}
-		} );
+		}, { concurrency, signal, onProgress, progressInterval } )
+			.then( () => {
+				if ( Array.isArray( collector ) ) {
+					collector.splice( writeIndex, collector.length - writeIndex );
+				}
+
+				return collector;
+			} );
 	}
 
 	/**
@@ -196,54 +332,35 @@ class PromiseUtil {
 	 * @param {object} items collection of items to map
 	 * @param {IterationCallbackAny} fn callback invoked per item for provided mapped value
 	 * @param {boolean} asArray set true to always fetch an array of kept items, set false to get collection matching provided one by type
+	 * @param {int} concurrency maximum number of callback invocations running simultaneously
+	 * @param {AbortSignal} signal signal for aborting iteration
+	 * @param {RateLimit|function} rate limits rate of callback invocations, function returned by PromiseUtil.rateLimit() for sharing its limit
+	 * @param {boolean} settle set true to collect settlement descriptors per item instead of rejecting on callback failing
+	 * @param {string} errors set "collect" to continue iteration on callback failing and eventually reject with AggregateError
+	 * @param {function(ProgressReport)} onProgress invoked with progress report after every processed item
+	 * @param {number} progressInterval minimum number of milliseconds between progress reports
 	 * @returns {Promise<object>} promised collection of mapped items
 	 */
-	static map( items, fn, { asArray = true } = {} ) {
-		const { indexes, length, useGet, collector } = prepareIteration( items, { createCollector: true, asArray } );
-
-		return new Promise( function( resolve, reject ) {
-			step( items, indexes, 0, length, collector );
-
-			/**
-			 * Triggers processing of next available item.
-			 *
-			 * @param {object} collection collection of items to process
-			 * @param {string[]} keys lists keys of items in collection
-			 * @param {int} current index into list of keys addressing current item to process
-			 * @param {int} numItems number of items in collection
-			 * @param {object} result separate instance matching collection by type, fed with mapped value per item
-			 * @returns {void}
-			 */
-			function step( collection, keys, current, numItems, result ) {
-				if ( current < numItems ) {
-					const key = keys ? keys[current] : current;
-					const item = useGet ? collection.get( key ) : collection[key];
-					let promise;
-
-					if ( item instanceof Promise ) {
-						promise = item.then( value => fn( value, key, collection ) );
-					} else {
-						promise = new Promise( done => done( fn( item, key, collection ) ) );
-					}
-
-					promise
-						.then( mappedValue => {
-							if ( result instanceof Map ) {
-								result.set( key, mappedValue );
-							} else if ( Array.isArray( result ) ) {
-								result[current] = mappedValue;
-							} else {
-								result[key] = mappedValue;
-							}
+	static map( items, fn, {
+		asArray = true, concurrency = 1, signal = undefined, rate = null,
+		settle = false, errors = "reject", onProgress = null, progressInterval = 0,
+	} = {} ) {
+		const context = prepareIteration( items, { createCollector: true, asArray } );
+		const { collector } = context;
+		const collectErrors = normalizeErrorMode( errors );
 
-							process.nextTick( step, collection, keys, current + 1, numItems, result );
-						} )
-						.catch( reject );
-				} else {
-					resolve( result );
-				}
+		return iterate( items, context, applySettle( applyRateLimit( fn, rate ), settle ), ( mappedValue, key, item, index ) => {
+			if ( collector instanceof Map ) {
+				collector.set( key, mappedValue );
+			} else if ( collector instanceof Set ) {
+				collector.add( mappedValue );
+			} else if ( Array.isArray( collector ) ) {
+				collector[index] = mappedValue;
+			} else {
+				collector[key] = mappedValue;
 			}
-		} );
+		}, { concurrency, signal, collectErrors, onProgress, progressInterval } )
+			.then( () => collector );
 	}
 
 	/**
@@ -258,43 +375,184 @@ class PromiseUtil {
 	 * @param {object} items collection of items to map
 	 * @param {IterationCallbackAny} fn callback invoked per item
 	 * @param {boolean} asArray set true to always fetch an array of kept items, set false to get collection matching provided one by type
+	 * @param {int} concurrency maximum number of callback invocations running simultaneously, omit for processing all items at once
+	 * @param {AbortSignal} signal signal for aborting iteration
+	 * @param {boolean} settle set true to collect settlement descriptors per item instead of rejecting on callback failing
+	 * @param {string} errors set "collect" to continue iteration on callback failing and eventually reject with AggregateError
+	 * @param {function(ProgressReport)} onProgress invoked with progress report after every processed item
+	 * @param {number} progressInterval minimum number of milliseconds between progress reports
 	 * @returns {Promise<object>} promised collection of mapped items
 	 */
-	static multiMap( items, fn, { asArray = true } = {} ) {
-		const { indexes, length, useGet, collector } = prepareIteration( items, { createCollector: true, asArray } );
-		const mapping = new Array( length );
+	static multiMap( items, fn, {
+		asArray = true, concurrency = Infinity, signal = undefined, settle = false,
+		errors = "reject", onProgress = null, progressInterval = 0,
+	} = {} ) {
+		return this.map( items, fn, { asArray, concurrency, signal, settle, errors, onProgress, progressInterval } );
+	}
 
-		for ( let index = 0; index < length; index++ ) {
-			const key = indexes ? indexes[index] : index;
-			const item = useGet ? items.get( key ) : items[key];
+	/**
+	 * Maps all provided items onto settlement descriptors of results provided
+	 * by some callback invoked on every item.
+	 *
+	 * @note This method is never rejecting due to callback failing. Every
+	 *       mapped item is an object with property `status` being either
+	 *       "fulfilled" or "rejected" and property `value` or `reason`.
+	 *
+	 * @param {object} items collection of items to map
+	 * @param {IterationCallbackAny} fn callback invoked per item
+	 * @param {object} options options as supported by map()
+	 * @returns {Promise<object>} promised collection of settlement descriptors
+	 */
+	static mapSettled( items, fn, options = {} ) {
+		return this.map( items, fn, Object.assign( {}, options, { settle: true } ) );
+	}
 
-			( ( _item, _key, _index ) => {
-				if ( _item instanceof Promise ) {
-					mapping[_index] = _item.then( i => fn( i, _key, items ) );
-				} else {
-					mapping[_index] = new Promise( resolve => resolve( fn( _item, _key, items ) ) );
-				}
-			} )( item, key, index );
+	/**
+	 * Resolves all promises found in properties of provided object or entries
+	 * of provided Map.
+	 *
+	 * @note Functions are kept as values unless enabling option `invoke`. Then
+	 *       they are invoked with provided signal for fetching either value.
+	 *       Limiting concurrency applies to those invocations, only.
+	 *
+	 * @note In deep mode, arrays, plain objects and Maps are walked at every
+	 *       level, including values promised by promises or invoked functions.
+	 *       Instances of any other class are kept as-is. Circular structures
+	 *       are rejected.
+	 *
+	 * @param {object|Map} source object or Map with promises and/or values
+	 * @param {boolean} deep set true to resolve promises in nested arrays, plain objects and Maps
+	 * @param {boolean} invoke set true to invoke functions found in place of values for fetching either value
+	 * @param {int} concurrency maximum number of functions invoked simultaneously, ignored unless invoking functions
+	 * @param {AbortSignal} signal signal for aborting resolution
+	 * @returns {Promise<object|Map>} promises object or Map of same shape with resolved values
+	 */
+	static props( source, { deep = false, invoke = false, concurrency = Infinity, signal = undefined } = {} ) {
+		if ( !source || typeof source !== "object" ) {
+			throw new TypeError( "invalid object or Map rejected" );
 		}
 
-		return Promise.all( mapping )
-			.then( mappedValues => {
-				if ( Array.isArray( collector ) ) {
-					return mappedValues;
-				}
+		const queue = new Queue( { concurrency } );
+		let failure = null;
 
-				if ( collector instanceof Map ) {
-					for ( let i = 0; i < length; i++ ) {
-						collector.set( indexes[i], mappedValues[i] );
+		return new Promise( ( resolve, reject ) => {
+			if ( signal && signal.aborted ) {
+				reject( new AbortError( signal.reason ) );
+				return;
+			}
+
+			const detach = listenForAbort( signal, () => {
+				queue.clear();
+				reject( new AbortError( signal.reason ) );
+			} );
+
+			resolveContainer( source, null )
+				.then( result => {
+					detach();
+					resolve( result );
+				} )
+				.catch( error => {
+					detach();
+					queue.clear();
+					reject( failure || error );
+				} );
+		} );
+
+		/**
+		 * Resolves all values of provided container.
+		 *
+		 * @param {object|Map|Array} container container to resolve
+		 * @param {?{container:object, parent:?object}} ancestors chain of containers enclosing provided one
+		 * @returns {Promise<object|Map|Array>} promises container of same shape with resolved values
+		 */
+		function resolveContainer( container, ancestors ) {
+			const path = { container, parent: ancestors };
+
+			if ( container instanceof Map ) {
+				const keys = Array.from( container.keys() );
+
+				return Promise.all( keys.map( key => resolveValue( container.get( key ), path ) ) )
+					.then( values => new Map( keys.map( ( key, index ) => [ key, values[index] ] ) ) );
+			}
+
+			if ( Array.isArray( container ) ) {
+				return Promise.all( container.map( value => resolveValue( value, path ) ) );
+			}
+
+			const keys = Object.keys( container );
+
+			return Promise.all( keys.map( key => resolveValue( container[key], path ) ) )
+				.then( values => {
+					const result = {};
+
+					for ( let i = 0; i < keys.length; i++ ) {
+						result[keys[i]] = values[i];
 					}
-				} else {
-					for ( let i = 0; i < length; i++ ) {
-						collector[indexes[i]] = mappedValues[i];
+
+					return result;
+				} );
+		}
+
+		/**
+		 * Resolves single value.
+		 *
+		 * @param {*} value promise, function to invoke or value to resolve
+		 * @param {{container:object, parent:?object}} path chain of containers enclosing value
+		 * @returns {Promise<*>|*} resolved value or promise for it
+		 */
+		function resolveValue( value, path ) {
+			if ( invoke && typeof value === "function" ) {
+				return queue.add( taskSignal => new Promise( done => done( value( taskSignal ) ) ).catch( fail ), { signal } )
+					.then( result => walk( result, path ) );
+			}
+
+			if ( value && typeof value === "object" && typeof value.then === "function" ) {
+				return Promise.resolve( value ).catch( fail ).then( result => walk( result, path ) );
+			}
+
+			return walk( value, path );
+		}
+
+		/**
+		 * Tracks first failure dropping queued invocations of functions.
+		 *
+		 * @param {Error} error cause of failure
+		 * @returns {void}
+		 * @throws {Error} provided error
+		 */
+		function fail( error ) {
+			if ( !failure ) {
+				failure = error;
+				queue.clear();
+			}
+
+			throw error;
+		}
+
+		/**
+		 * Resolves nested containers in deep mode.
+		 *
+		 * @param {*} value resolved value
+		 * @param {{container:object, parent:?object}} path chain of containers enclosing value
+		 * @returns {Promise<*>|*} provided value or promise for nested container with resolved values
+		 */
+		function walk( value, path ) {
+			if ( deep && value && typeof value === "object" ) {
+				const proto = Object.getPrototypeOf( value );
+
+				if ( value instanceof Map || Array.isArray( value ) || proto === Object.prototype || proto === null ) {
+					for ( let link = path; link; link = link.parent ) {
+						if ( link.container === value ) {
+							return new Promise( () => fail( new TypeError( "circular structure rejected" ) ) );
+						}
 					}
+
+					return resolveContainer( value, path );
 				}
+			}
 
-				return collector;
-			} );
+			return value;
+		}
 	}
 
 	/**
@@ -306,22 +564,14 @@ class PromiseUtil {
 	 * @param {object} items collection of items to search
 	 * @param {IterationCallbackBoolean} fn callback invoked per item to identify the one to be found
 	 * @param {boolean} getLast set true to get last match instead of first one
+	 * @param {int} concurrency maximum number of callback invocations running simultaneously
+	 * @param {AbortSignal} signal signal for aborting iteration
 	 * @returns {Promise<*>} promises first element callback returned truthy on or
 	 *          undefined if no item satisfies this
 	 */
-	static find( items, fn, { getLast = false } = {} ) {
-		return this.indexOf( items, fn, { getLast } )
-			.then( index => {
-				if ( Array.isArray( items ) ) {
-					return index > -1 ? items[index] : undefined;
-				}
-
-				if ( index === undefined ) {
-					return undefined;
-				}
-
-				return items instanceof Map ? items.get( index ) : items[index];
-			} );
+	static find( items, fn, { getLast = false, concurrency = 1, signal = undefined } = {} ) {
+		return search( items, prepareIteration( items ), fn, { getLast, concurrency, signal } )
+			.then( match => ( match ? match.item : undefined ) );
 	}
 
 	/**
@@ -330,54 +580,78 @@ class PromiseUtil {
 	 *
 	 * @note This method is capable of handling array-like collections, too.
 	 *
+	 * @note When processing multiple items simultaneously the match with the
+	 *       lowest index (highest index when searching in reverse order) is
+	 *       promised rather than the one found first.
+	 *
 	 * @param {Array} items array of items to filter
 	 * @param {IterationCallbackBoolean} fn callback invoked per item to test if it's searched one
 	 * @param {boolean} getLast set true to get index of last match instead of first one
+	 * @param {int} concurrency maximum number of callback invocations running simultaneously
+	 * @param {AbortSignal} signal signal for aborting iteration
 	 * @returns {Promise<number>} promises index of first element callback returned
 	 *          truthy on or -1 if no item satisfies this
 	 */
-	static indexOf( items, fn, { getLast = false } = {} ) {
-		const { indexes, length, useGet } = prepareIteration( items );
+	static indexOf( items, fn, { getLast = false, concurrency = 1, signal = undefined } = {} ) {
+		const context = prepareIteration( items );
 
-		return new Promise( function( resolve, reject ) {
-			step( items, indexes, getLast ? length - 1 : 0, getLast ? -1 : length, getLast ? -1 : +1 );
+		return search( items, context, fn, { getLast, concurrency, signal } )
+			.then( match => {
+				if ( match ) {
+					return match.key;
+				}
 
-			/**
-			 * Triggers processing of next available item.
-			 *
-			 * @param {Array} collection collection of items
-			 * @param {Array} keys list of keys addressing items of collection
-			 * @param {int} current index into list of keys selecting current item's keys
-			 * @param {int} numItems number of items in collection
-			 * @param {int} advanceBy control direction of iteration: +1 to iterate forwardly, -1 otherwise
-			 * @returns {void}
-			 */
-			function step( collection, keys, current, numItems, advanceBy ) {
-				if ( current === numItems ) {
-					resolve( keys ? undefined : -1 );
-				} else {
-					const key = keys ? keys[current] : current;
-					const item = useGet ? collection.get( key ) : collection[key];
-					let promise;
+				return context.indexes ? undefined : -1;
+			} );
+	}
 
-					if ( item instanceof Promise ) {
-						promise = item.then( i => fn( i, key, collection ) );
-					} else {
-						promise = new Promise( done => done( fn( item, key, collection ) ) );
-					}
+	/**
+	 * Iterates over collection of items invoking provided callback on each item
+	 * for sequentially folding all items into a single value promised eventually.
+	 *
+	 * @note This method is capable of handling array-like collections, too.
+	 *
+	 * @note Omitting initial value the first item of collection is used as initial
+	 *       value instead and callback isn't invoked on that item. Explicitly
+	 *       provided `undefined` is used as initial value, though. Options
+	 *       require initial value to be provided.
+	 *
+	 * @param {object} items collection of items to reduce
+	 * @param {ReductionCallback} fn callback invoked per item with current accumulator, returns next accumulator
+	 * @param {Array} initialAndOptions optional initial value of accumulator, may be promise, followed by options with `signal` for aborting iteration
+	 * @returns {Promise<*>} promises accumulator returned from callback on processing last item
+	 */
+	static reduce( items, fn, ...initialAndOptions ) {
+		const [ initial, { signal = undefined } = {} ] = initialAndOptions;
 
-					promise
-						.then( result => {
-							if ( result ) {
-								resolve( key );
-							} else {
-								process.nextTick( step, collection, keys, current + advanceBy, numItems, advanceBy );
-							}
-						} )
-						.catch( reject );
-				}
-			}
-		} );
+		return fold( items, fn, initialAndOptions.length > 0, initial, { signal } );
+	}
+
+	/**
+	 * Iterates over collection of items in reverse order invoking provided
+	 * callback on each item for sequentially folding all items into a single
+	 * value promised eventually.
+	 *
+	 * @note This method is capable of handling array-like collections, too.
+	 *
+	 * @note Lazily iterated collections are fetched completely before invoking
+	 *       callback on last fetched item first. Callback is invoked with array
+	 *       of fetched items as collection then.
+	 *
+	 * @note Omitting initial value the last item of collection is used as initial
+	 *       value instead and callback isn't invoked on that item. Explicitly
+	 *       provided `undefined` is used as initial value, though. Options
+	 *       require initial value to be provided.
+	 *
+	 * @param {object} items collection of items to reduce
+	 * @param {ReductionCallback} fn callback invoked per item with current accumulator, returns next accumulator
+	 * @param {Array} initialAndOptions optional initial value of accumulator, may be promise, followed by options with `signal` for aborting iteration
+	 * @returns {Promise<*>} promises accumulator returned from callback on processing first item
+	 */
+	static reduceRight( items, fn, ...initialAndOptions ) {
+		const [ initial, { signal = undefined } = {} ] = initialAndOptions;
+
+		return fold( items, fn, initialAndOptions.length > 0, initial, { reverse: true, signal } );
 	}
 
 	/**
@@ -385,174 +659,3031 @@ class PromiseUtil {
 	 *
 	 * @param {number} delay desired delay in milliseconds
 	 * @param {*=} payload value promise is fulfilled with
+	 * @param {AbortSignal} signal signal for aborting delay
 	 * @returns {Promise<*>} promised delay
 	 */
-	static delay( delay, payload ) {
-		return new Promise( resolve => setTimeout( resolve, delay, payload ) );
+	static delay( delay, payload, { signal = undefined } = {} ) {
+		if ( !signal ) {
+			return new Promise( resolve => setTimeout( resolve, delay, payload ) );
+		}
+
+		return new Promise( ( resolve, reject ) => {
+			if ( signal.aborted ) {
+				reject( new AbortError( signal.reason ) );
+				return;
+			}
+
+			const timer = setTimeout( () => {
+				detach();
+				resolve( payload );
+			}, delay );
+
+			const detach = listenForAbort( signal, () => {
+				clearTimeout( timer );
+				reject( new AbortError( signal.reason ) );
+			} );
+		} );
 	}
 
 	/**
-	 * Asynchronously processes objects or chunks read from provided stream.
+	 * Limits time for waiting on provided promise to settle.
 	 *
-	 * @note This method is invoking provided function on every chunk or object read
-	 *       from stream. If provided function is throwing exception or returning
-	 *       eventually rejected promise the whole processing is aborted rejecting
-	 *       promise returned here as well.
+	 * @note When providing function instead of promise it is invoked with an
+	 *       AbortSignal which is aborted on timeout so that function can cancel
+	 *       any work in progress.
 	 *
-	 * @note Stream is resumed initially and paused/resumed when invoked function
-	 *       has returned promise. **The stream is kept paused on processing item
-	 *       failed.**
-	 *
-	 * @param {Readable} stream stream to read objects or chunks from
-	 * @param {function(this:object, current:*, index:number, stream:Readable):(Promise|*)} fn worker invoked to process every read chunk/object
-	 * @returns {Promise<object>} promises object provided as `this` on invoking function per chunk/object read from stream
+	 * @param {Promise|function(signal:AbortSignal):(Promise|*)} promiseOrFn promise to wait for or function returning it
+	 * @param {number} ms maximum number of milliseconds to wait for promise to settle
+	 * @param {string} message custom message of TimeoutError
+	 * @param {*} fallback value to resolve with on timeout instead of rejecting
+	 * @param {AbortSignal} signal signal for aborting wait
+	 * @returns {Promise<*>} promises result of provided promise, rejected with TimeoutError if promise takes too long
 	 */
-	static process( stream, fn = defaultProcessor ) {
+	static timeout( promiseOrFn, ms, { message = undefined, fallback = undefined, signal = undefined } = {} ) {
 		return new Promise( ( resolve, reject ) => {
-			let counter = 0;
-			const target = {};
-			let finished = false;
-			let failure = null;
+			if ( signal && signal.aborted ) {
+				reject( new AbortError( signal.reason ) );
+				return;
+			}
 
-			stream
-				.on( "data", step )
-				.on( "error", error => {
-					failure = error;
+			const started = Date.now();
+			const controller = typeof promiseOrFn === "function" ? new AbortController() : null;
+			let settled = false;
 
-					// don't immediately reject promise when callback is still
-					// processing item
-					if ( !stream.isPaused() ) {
-						reject( error );
-					}
-				} )
-				.on( "end", () => {
-					finished = true;
+			const timer = setTimeout( () => {
+				const error = new TimeoutError( message || `operation timed out after ${ms}ms`, Date.now() - started );
 
-					// don't immediately resolve promise when callback is still
-					// processing item
-					if ( !stream.isPaused() ) {
-						resolve( target );
-					}
-				} );
+				finish();
 
-			stream.resume();
+				if ( controller ) {
+					controller.abort( error );
+				}
 
-			/**
-			 * Processes next available item.
-			 *
-			 * @node This method is pausing stream to ensure elements are processed
-			 *       sequentially.
-			 *
-			 * @param {Buffer|object} item or chunk item to be processed
+				if ( fallback === undefined ) {
+					reject( error );
+				} else {
+					resolve( fallback );
+				}
+			}, ms );
+
+			const detach = listenForAbort( signal, () => {
+				finish();
+
+				if ( controller ) {
+					controller.abort( signal.reason );
+				}
+
+				reject( new AbortError( signal.reason ) );
+			} );
+
+			new Promise( done => done( controller ? promiseOrFn( controller.signal ) : promiseOrFn ) )
+				.then( result => {
+					if ( !settled ) {
+						finish();
+						resolve( result );
+					}
+				} )
+				.catch( error => {
+					if ( !settled ) {
+						finish();
+						reject( error );
+					}
+				} );
+
+			/**
+			 * Marks waiting as finished releasing timer and abort signal.
+			 *
+			 * @returns {void}
+			 */
+			function finish() {
+				settled = true;
+
+				clearTimeout( timer );
+				detach();
+			}
+		} );
+	}
+
+	/**
+	 * Repeatedly invokes provided function until it succeeds or the number of
+	 * permitted retries has been exhausted.
+	 *
+	 * @note Backoff strategies are "constant", "linear" and "exponential". A
+	 *       custom strategy is supported by providing function computing delay
+	 *       in milliseconds from number of failed attempts.
+	 *
+	 * @param {function(attempt:int, signal:AbortSignal=):(Promise|*)} fn function to invoke per attempt
+	 * @param {int} retries maximum number of retries after first attempt has failed
+	 * @param {number} minDelay delay in milliseconds before first retry
+	 * @param {number} maxDelay upper limit of delay in milliseconds before any retry
+	 * @param {string|function(attempt:int):number} backoff strategy for growing delay on every retry
+	 * @param {number} factor base of growth in exponential backoff
+	 * @param {?string} jitter set "full" or "decorrelated" for randomizing delays
+	 * @param {?function(error:Error, attempt:int):(Promise<boolean>|boolean)} shouldRetry decides whether failure of an attempt should be retried
+	 * @param {?function(error:Error, attempt:int, delay:number):void} onRetry invoked prior to waiting for next retry
+	 * @param {AbortSignal} signal signal for aborting retries
+	 * @returns {Promise<*>} promises result of first succeeding attempt, rejected with RetryError on final failure
+	 */
+	static retry( fn, {
+		retries = 3, minDelay = 100, maxDelay = Infinity, backoff = "exponential", factor = 2, jitter = null,
+		shouldRetry = null, onRetry = null, signal = undefined
+	} = {} ) {
+		const getDelay = createBackoff( { minDelay, maxDelay, backoff, factor, jitter } );
+		const errors = [];
+
+		return attempt( 1 );
+
+		/**
+		 * Invokes function for another attempt.
+		 *
+		 * @param {int} number number of current attempt
+		 * @returns {Promise<*>} promises result of current or any succeeding attempt
+		 */
+		function attempt( number ) {
+			if ( signal && signal.aborted ) {
+				return Promise.reject( new AbortError( signal.reason ) );
+			}
+
+			return new Promise( done => done( fn( number, signal ) ) )
+				.catch( error => {
+					if ( signal && signal.aborted ) {
+						throw new AbortError( signal.reason );
+					}
+
+					errors.push( error );
+
+					if ( number > retries ) {
+						throw new RetryError( errors );
+					}
+
+					return new Promise( done => done( shouldRetry ? shouldRetry( error, number ) : true ) )
+						.then( retry => {
+							if ( !retry ) {
+								throw new RetryError( errors );
+							}
+
+							const delay = getDelay( number );
+
+							if ( onRetry ) {
+								onRetry( error, number, delay );
+							}
+
+							return PromiseUtil.delay( delay, number + 1, { signal } );
+						} )
+						.then( attempt );
+				} );
+		}
+	}
+
+	/**
+	 * Wraps provided function so that invocations of wrapped function are
+	 * queued and passed on to provided function at a limited rate.
+	 *
+	 * @note Rate is limited using token bucket permitting bursts of invocations
+	 *       after some idle time.
+	 *
+	 * @note Returned function may be provided in option `rate` of iterating
+	 *       helpers for sharing its limit with their callbacks.
+	 *
+	 * @param {function} fn function to be rate-limited
+	 * @param {number} perInterval number of invocations permitted per interval
+	 * @param {number} interval duration of interval in milliseconds
+	 * @param {number} burst maximum number of invocations permitted at once
+	 * @returns {function():Promise} returns provided function returning promise for result of delayed invocation
+	 */
+	static rateLimit( fn, { perInterval, interval = 1000, burst = perInterval } = {} ) {
+		const bucket = new TokenBucket( { perInterval, interval, burst } );
+
+		/**
+		 * Invokes rate-limited function as soon as limit permits.
+		 *
+		 * @param {*} args arguments passed to rate-limited function
+		 * @returns {Promise} promises result of rate-limited function
+		 */
+		function limited( ...args ) {
+			return bucket.take().then( () => fn.apply( this, args ) );
+		}
+
+		limited[RATE_LIMITER] = bucket;
+
+		return limited;
+	}
+
+	/**
+	 * Wraps provided function so that results of its invocations are cached
+	 * per key derived from arguments.
+	 *
+	 * @note Concurrent invocations with same key share single pending promise.
+	 *
+	 * @note By default, the first argument is used as key when invoking with
+	 *       up to one argument. Otherwise all arguments are serialized as JSON.
+	 *
+	 * @param {function} fn function to be memoized
+	 * @param {function(...args:*):*} key derives cache key from arguments of an invocation
+	 * @param {number} ttl number of milliseconds a result is cached after settling
+	 * @param {number} maxSize maximum number of cached results, least recently used results are evicted first
+	 * @param {boolean} cacheRejections set true to cache rejections, too
+	 * @param {boolean} staleWhileRevalidate set true to deliver expired result while refreshing it in background
+	 * @returns {function():Promise} returns provided function returning promise for cached result, exposing `clear()` and `delete()`
+	 */
+	static memoize( fn, { key = defaultMemoizeKey, ttl = Infinity, maxSize = Infinity, cacheRejections = false, staleWhileRevalidate = false } = {} ) {
+		if ( typeof fn !== "function" || typeof key !== "function" ) {
+			throw new TypeError( "invalid function rejected" );
+		}
+
+		const cache = new MemoCache( { ttl, maxSize, cacheRejections, staleWhileRevalidate } );
+
+		/**
+		 * Invokes memoized function unless its result has been cached before.
+		 *
+		 * @param {*} args arguments passed to memoized function
+		 * @returns {Promise} promises cached result
+		 */
+		function memoized( ...args ) {
+			return cache.fetch( key.apply( this, args ), () => fn.apply( this, args ) );
+		}
+
+		memoized.clear = () => cache.entries.clear();
+		memoized.delete = function( ...args ) {
+			return cache.entries.delete( key.apply( this, args ) );
+		};
+
+		return memoized;
+	}
+
+	/**
+	 * Wraps provided function so that invocations of wrapped function are
+	 * failing fast after provided function has failed repeatedly.
+	 *
+	 * @note After failing `failureThreshold` times in a row, the circuit is
+	 *       opened and invocations are rejected with CircuitOpenError. After
+	 *       `resetTimeout` milliseconds, the circuit is half-open passing up to
+	 *       `halfOpenMax` probing invocations. A succeeding probe is closing the
+	 *       circuit again, a failing probe is re-opening it.
+	 *
+	 * @param {function} fn function to be guarded
+	 * @param {int} failureThreshold number of consecutive failures opening the circuit
+	 * @param {number} resetTimeout number of milliseconds to keep circuit open before probing
+	 * @param {int} halfOpenMax number of simultaneous probing invocations while circuit is half-open
+	 * @param {function(error:*):boolean} isFailure decides whether some error is counted as failure
+	 * @returns {function():Promise} returns provided function returning promise for its result, exposing state, counters and events
+	 */
+	static circuitBreaker( fn, { failureThreshold = 5, resetTimeout = 10000, halfOpenMax = 1, isFailure = () => true } = {} ) {
+		if ( typeof fn !== "function" || typeof isFailure !== "function" ) {
+			throw new TypeError( "invalid function rejected" );
+		}
+
+		const breaker = new CircuitBreaker( { failureThreshold, resetTimeout, halfOpenMax, isFailure } );
+
+		/**
+		 * Invokes guarded function unless circuit is open.
+		 *
+		 * @param {*} args arguments passed to guarded function
+		 * @returns {Promise} promises result of guarded function
+		 */
+		function guarded( ...args ) {
+			return breaker.call( () => fn.apply( this, args ) );
+		}
+
+		Object.defineProperties( guarded, {
+			state: { get: () => breaker.state },
+			stats: { get: () => Object.assign( {}, breaker.stats ) },
+		} );
+
+		guarded.on = ( event, listener ) => {
+			breaker.on( event, listener );
+			return guarded;
+		};
+
+		guarded.off = ( event, listener ) => {
+			breaker.removeListener( event, listener );
+			return guarded;
+		};
+
+		guarded.reset = () => breaker.transition( "closed" );
+
+		return guarded;
+	}
+
+	/**
+	 * Asynchronously processes objects or chunks read from provided stream.
+	 *
+	 * @note This method is invoking provided function on every chunk or object read
+	 *       from stream. If provided function is throwing exception or returning
+	 *       eventually rejected promise the whole processing is aborted rejecting
+	 *       promise returned here as well.
+	 *
+	 * @note Stream is resumed initially and paused/resumed when invocations of
+	 *       provided function returning promises have reached given concurrency
+	 *       limit. **The stream is kept paused on processing item failed** unless
+	 *       it is destroyed on demand.
+	 *
+	 * @note Processing is considered finished when stream has been finished as
+	 *       detected by `stream.finished()`. Thus, a stream closed or destroyed
+	 *       prematurely is rejecting returned promise.
+	 *
+	 * @note Optional commit callback is invoked with result of every invocation
+	 *       of worker after commit of preceding result has completed. When
+	 *       preserving order, results are committed in order of items. Thus, a
+	 *       slowly processed item prevents processing of items beyond the
+	 *       concurrency limit.
+	 *
+	 * @note On aborting provided signal the stream is paused and destroyed.
+	 *
+	 * @param {Readable} stream stream to read objects or chunks from
+	 * @param {function(this:object, current:*, index:number, stream:Readable, signal:AbortSignal=):(Promise|*)} fn worker processing every read chunk/object
+	 * @param {AbortSignal} signal signal for aborting processing of stream
+	 * @param {int} concurrency maximum number of incomplete invocations of worker
+	 * @param {boolean} ordered set true to complete invocations of worker in order of chunks/objects
+	 * @param {function(this:object, result:*, index:number, stream:Readable, signal:AbortSignal=):(Promise|*)} commit applies result of worker per chunk/object
+	 * @param {function(ProgressReport)} onProgress invoked with progress report after every processed chunk/object
+	 * @param {number} progressInterval minimum number of milliseconds between progress reports
+	 * @param {boolean} destroyOnFailure set true to destroy stream on worker failing
+	 * @param {function(this:object, stream:Readable, signal:AbortSignal=):(Promise|*)} flush invoked once after processing last chunk/object
+	 * @returns {Promise<object>} promises object provided as `this` on invoking function per chunk/object read from stream
+	 */
+	static process( stream, fn = defaultProcessor, {
+		signal = undefined, concurrency = 1, ordered = false, commit = null,
+		onProgress = null, progressInterval = 0, destroyOnFailure = false, flush = null,
+	} = {} ) {
+		const limit = normalizeConcurrency( concurrency );
+		const progress = createProgressReporter( onProgress, { interval: progressInterval } );
+
+		return new Promise( ( _resolve, _reject ) => {
+			let counter = 0;
+			let running = 0;
+			let acknowledged = 0;
+			let committed = Promise.resolve();
+			const completed = new Map();
+			const target = {};
+			let ended = false;
+			let failure = null;
+			let settled = false;
+
+			if ( signal && signal.aborted ) {
+				_reject( new AbortError( signal.reason ) );
+				return;
+			}
+
+			const detach = listenForAbort( signal, () => {
+				stream.removeListener( "data", step );
+				stream.pause();
+
+				if ( typeof stream.destroy === "function" ) {
+					stream.destroy();
+				}
+
+				reject( new AbortError( signal.reason ) );
+			} );
+
+			const resolve = result => {
+				release();
+				_resolve( result );
+			};
+
+			const reject = error => {
+				settled = true;
+				release();
+				_reject( error );
+			};
+
+			const cleanup = Stream.finished( stream, error => {
+				if ( error ) {
+					failure = error;
+				} else {
+					ended = true;
+				}
+
+				// don't immediately settle promise when callback is still
+				// processing item
+				if ( running === 0 ) {
+					settle();
+				}
+			} );
+
+			stream.on( "data", step );
+			stream.resume();
+
+			/**
+			 * Detaches all listeners from stream and signal.
+			 *
+			 * @returns {void}
+			 */
+			function release() {
+				stream.removeListener( "data", step );
+				cleanup();
+				detach();
+			}
+
+			/**
+			 * Processes next available item.
+			 *
+			 * @note This method is pausing stream to limit number of items
+			 *       processed simultaneously.
+			 *
+			 * @param {Buffer|object} item or chunk item to be processed
 			 * @returns {void}
 			 */
 			function step( item ) {
+				if ( settled ) {
+					return;
+				}
+
+				const index = counter++;
+
+				running++;
+
 				try {
-					const result = fn.call( target, item, counter++, stream );
+					const result = fn.call( target, item, index, stream, signal );
 					if ( result instanceof Promise ) {
-						stream.pause();
+						result
+							.then( value => complete( index, value ) )
+							.catch( fail );
+					} else {
+						complete( index, result );
+					}
+				} catch ( exception ) {
+					fail( exception );
+					return;
+				}
+
+				if ( running >= limit ) {
+					stream.pause();
+				}
+			}
+
+			/**
+			 * Marks processing of item complete.
+			 *
+			 * @param {int} index index of processed item
+			 * @param {*} result result of worker processing item
+			 * @returns {void}
+			 */
+			function complete( index, result ) {
+				if ( settled ) {
+					return;
+				}
+
+				if ( ordered ) {
+					completed.set( index, result );
+
+					while ( completed.has( acknowledged ) ) {
+						const next = acknowledged++;
+						const value = completed.get( next );
+
+						completed.delete( next );
+						apply( next, value );
+					}
+				} else {
+					apply( index, result );
+				}
+			}
+
+			/**
+			 * Commits result of processing item after preceding results have
+			 * been committed.
+			 *
+			 * @param {int} index index of processed item
+			 * @param {*} result result of worker processing item
+			 * @returns {void}
+			 */
+			function apply( index, result ) {
+				if ( !commit ) {
+					acknowledge( index );
+					proceed();
+					return;
+				}
+
+				committed = committed
+					.then( () => {
+						if ( !settled ) {
+							return commit.call( target, result, index, stream, signal );
+						}
+
+						return undefined;
+					} )
+					.then( () => {
+						if ( !settled ) {
+							acknowledge( index );
+							proceed();
+						}
+					} )
+					.catch( fail );
+			}
+
+			/**
+			 * Settles promise or resumes stream after item has been processed
+			 * completely.
+			 *
+			 * @returns {void}
+			 */
+			function proceed() {
+				if ( running === 0 && ( ended || failure ) ) {
+					settle();
+				} else if ( running < limit && stream.isPaused() && !failure ) {
+					stream.resume();
+				}
+			}
+
+			/**
+			 * Settles promise after stream has finished and all items have
+			 * been processed.
+			 *
+			 * @returns {void}
+			 */
+			function settle() {
+				if ( settled ) {
+					return;
+				}
+
+				if ( failure ) {
+					reject( failure );
+				} else if ( flush ) {
+					settled = true;
+
+					new Promise( done => done( flush.call( target, stream, signal ) ) )
+						.then( () => resolve( target ) )
+						.catch( reject );
+				} else {
+					resolve( target );
+				}
+			}
+
+			/**
+			 * Rejects promise due to worker failing on an item.
+			 *
+			 * @param {Error} error error thrown by worker
+			 * @returns {void}
+			 */
+			function fail( error ) {
+				if ( settled ) {
+					return;
+				}
+
+				stream.pause();
+
+				reject( error );
+
+				if ( destroyOnFailure && typeof stream.destroy === "function" ) {
+					stream.destroy();
+				}
+			}
+
+			/**
+			 * Accounts for completed processing of item.
+			 *
+			 * @param {int} index index of processed item
+			 * @returns {void}
+			 */
+			function acknowledge( index ) {
+				running--;
+
+				if ( progress ) {
+					progress( index );
+				}
+			}
+		} );
+	}
+
+	/**
+	 * Collects all chunks or objects read from provided stream.
+	 *
+	 * @note Objects read from a stream in object mode are promised in an array.
+	 *       Otherwise chunks are concatenated into a single buffer which is
+	 *       decoded into string if encoding is given. Chunks read as strings
+	 *       are concatenated into a single string.
+	 *
+	 * @note On exceeding either limit the stream is destroyed.
+	 *
+	 * @param {Readable} stream stream to read from
+	 * @param {string} encoding encoding for decoding collected buffer into string
+	 * @param {number} maxBytes maximum number of bytes to collect from buffers or strings
+	 * @param {number} maxItems maximum number of chunks or objects to collect
+	 * @param {AbortSignal} signal signal for aborting collection
+	 * @returns {Promise<Buffer|string|Array>} promises collected data, rejected with LimitExceededError on exceeding a limit
+	 */
+	static collect( stream, { encoding = undefined, maxBytes = Infinity, maxItems = Infinity, signal = undefined } = {} ) {
+		if ( !( maxBytes >= 0 ) || !( maxItems >= 0 ) ) {
+			throw new TypeError( "invalid limit rejected" );
+		}
+
+		if ( encoding != null && !Buffer.isEncoding( encoding ) ) {
+			throw new TypeError( "invalid encoding rejected" );
+		}
+
+		let bytes = 0;
+
+		return this.process( stream, function( chunk, index ) {
+			if ( index >= maxItems ) {
+				throw new LimitExceededError( maxItems, "items" );
+			}
+
+			if ( Buffer.isBuffer( chunk ) || typeof chunk === "string" ) {
+				bytes += Buffer.byteLength( chunk );
+
+				if ( bytes > maxBytes ) {
+					throw new LimitExceededError( maxBytes, "bytes" );
+				}
+			}
+
+			defaultProcessor.call( this, chunk );
+		}, { signal, destroyOnFailure: true } )
+			.then( ( { collected = [] } ) => {
+				if ( stream.readableObjectMode ) {
+					return collected;
+				}
+
+				if ( collected.every( chunk => typeof chunk === "string" ) && collected.length > 0 ) {
+					return collected.join( "" );
+				}
+
+				const buffer = Buffer.concat( collected.map( chunk => ( typeof chunk === "string" ? Buffer.from( chunk ) : chunk ) ) );
+
+				return encoding == null ? buffer : buffer.toString( encoding );
+			} );
+	}
+
+	/**
+	 * Asynchronously processes lines of text read from provided stream.
+	 *
+	 * @note Text is decoded with support for multi-byte characters split
+	 *       across chunks. Lines are separated by LF or CRLF. Provided function
+	 *       is invoked on every line sequentially.
+	 *
+	 * @param {Readable} stream stream to read text from
+	 * @param {function(this:object, line:string, lineNumber:int, stream:Readable, signal:AbortSignal=):(Promise|*)} fn worker processing every line
+	 * @param {string} encoding encoding of text read from stream
+	 * @param {number} maxLineLength maximum number of characters per line
+	 * @param {AbortSignal} signal signal for aborting processing of stream
+	 * @param {function(this:object, stream:Readable, signal:AbortSignal=):(Promise|*)} flush invoked once after processing last line
+	 * @returns {Promise<object>} promises object provided as `this` on invoking function per line, rejected with ParseError on exceeding maximum line length
+	 */
+	static processLines( stream, fn, { encoding = "utf8", maxLineLength = Infinity, signal = undefined, flush = null } = {} ) {
+		if ( typeof fn !== "function" ) {
+			throw new TypeError( "invalid function rejected" );
+		}
+
+		if ( !( maxLineLength > 0 ) ) {
+			throw new TypeError( "invalid maximum line length rejected" );
+		}
+
+		const decoder = new StringDecoder( encoding );
+		let pending = "";
+		let lineNumber = 0;
+
+		/**
+		 * Invokes worker on provided lines sequentially.
+		 *
+		 * @param {object} context object provided as `this` on invoking worker
+		 * @param {string[]} lines lines of text to process
+		 * @returns {Promise|undefined} promises lines processed, undefined if all lines have been processed synchronously
+		 */
+		function invokeOnLines( context, lines ) {
+			for ( let i = 0; i < lines.length; i++ ) {
+				let line = lines[i];
+
+				if ( line.endsWith( "\r" ) ) {
+					line = line.slice( 0, -1 );
+				}
+
+				lineNumber++;
+
+				if ( line.length > maxLineLength ) {
+					throw new ParseError( "line exceeds maximum length", lineNumber, maxLineLength + 1 );
+				}
+
+				const result = fn.call( context, line, lineNumber, stream, signal );
+				if ( result instanceof Promise ) {
+					return result.then( () => invokeOnLines( context, lines.slice( i + 1 ) ) );
+				}
+			}
+
+			return undefined;
+		}
+
+		return this.process( stream, function( chunk ) {
+			const lines = ( pending + ( typeof chunk === "string" ? chunk : decoder.write( chunk ) ) ).split( "\n" );
+
+			pending = lines.pop();
+
+			if ( pending.length > maxLineLength ) {
+				throw new ParseError( "line exceeds maximum length", lineNumber + lines.length + 1, maxLineLength + 1 );
+			}
+
+			return invokeOnLines( this, lines );
+		}, {
+			signal,
+			flush: function() {
+				const rest = pending + decoder.end();
+
+				pending = "";
+
+				return new Promise( resolve => resolve( rest === "" ? undefined : invokeOnLines( this, [rest] ) ) )
+					.then( () => ( flush ? flush.call( this, stream, signal ) : undefined ) );
+			},
+		} );
+	}
+
+	/**
+	 * Asynchronously processes records read from provided stream.
+	 *
+	 * @note Supported formats are "ndjson" with a JSON-encoded record per line
+	 *       and "csv" with comma-separated values. Empty lines are ignored.
+	 *
+	 * @note In CSV format, the first record provides names of columns by
+	 *       default. Records are objects mapping column names into values
+	 *       then. Otherwise records are arrays of values.
+	 *
+	 * @param {Readable} stream stream to read records from
+	 * @param {function(this:object, record:*, lineNumber:int, stream:Readable, signal:AbortSignal=):(Promise|*)} fn worker processing every record
+	 * @param {string} format format of records, either "ndjson" or "csv"
+	 * @param {string} delimiter character separating values of record in CSV format
+	 * @param {boolean} header set false if first record of CSV isn't providing names of columns
+	 * @param {string} encoding encoding of text read from stream
+	 * @param {number} maxLineLength maximum number of characters per line
+	 * @param {AbortSignal} signal signal for aborting processing of stream
+	 * @returns {Promise<object>} promises object provided as `this` on invoking function per record, rejected with ParseError on malformed input
+	 */
+	static processRecords( stream, fn, {
+		format = "ndjson", delimiter = ",", header = true,
+		encoding = "utf8", maxLineLength = Infinity, signal = undefined,
+	} = {} ) {
+		if ( typeof fn !== "function" ) {
+			throw new TypeError( "invalid function rejected" );
+		}
+
+		switch ( format ) {
+			case "ndjson" :
+				return this.processLines( stream, function( line, lineNumber ) {
+					if ( line.trim() === "" ) {
+						return undefined;
+					}
+
+					return fn.call( this, parseJsonRecord( line, lineNumber ), lineNumber, stream, signal );
+				}, { encoding, maxLineLength, signal } );
+
+			case "csv" : {
+				if ( typeof delimiter !== "string" || delimiter.length !== 1 || delimiter === "\"" ) {
+					throw new TypeError( "invalid delimiter rejected" );
+				}
+
+				let columns = null;
+				let pending = null;
+				let firstLine = 0;
+
+				return this.processLines( stream, function( line, lineNumber ) {
+					if ( pending == null ) {
+						if ( line === "" ) {
+							return undefined;
+						}
+
+						pending = line;
+						firstLine = lineNumber;
+					} else {
+						pending += "\n" + line;
+					}
+
+					const values = parseCsvRecord( pending, delimiter, firstLine );
+					if ( !values ) {
+						return undefined;
+					}
+
+					pending = null;
+
+					if ( !header ) {
+						return fn.call( this, values, firstLine, stream, signal );
+					}
+
+					if ( !columns ) {
+						columns = values;
+						return undefined;
+					}
+
+					if ( values.length !== columns.length ) {
+						throw new ParseError( `expected ${columns.length} value(s), got ${values.length}`, firstLine, 1 );
+					}
+
+					const record = {};
+
+					for ( let i = 0; i < columns.length; i++ ) {
+						record[columns[i]] = values[i];
+					}
+
+					return fn.call( this, record, firstLine, stream, signal );
+				}, {
+					encoding, maxLineLength, signal,
+					flush: () => {
+						if ( pending != null ) {
+							throw new ParseError( "unterminated quoted value", firstLine, 1 );
+						}
+					},
+				} );
+			}
+
+			default :
+				throw new TypeError( "invalid record format rejected" );
+		}
+	}
+
+	/**
+	 * Creates transform stream asynchronously mapping every written chunk or
+	 * object onto results pushed to readable side of stream.
+	 *
+	 * @note Provided function is invoked with `this` referring to created
+	 *       stream. Either result of provided function that isn't `null` or
+	 *       `undefined` is pushed. Additional results may be pushed using
+	 *       function provided in third argument.
+	 *
+	 * @note Writing is delayed while given number of chunks/objects are being
+	 *       processed and while readable side of stream isn't consumed. Results
+	 *       are pushed in order of written chunks/objects unless disabled.
+	 *
+	 * @note On provided function failing the stream is destroyed with the
+	 *       resulting error.
+	 *
+	 * @param {function(this:Transform, current:*, index:number, push:function(*), signal:AbortSignal=):(Promise|*)} fn worker processing every chunk/object
+	 * @param {int} concurrency maximum number of chunks/objects processed simultaneously
+	 * @param {boolean} ordered set false to push results as soon as available instead of pushing them in order of written chunks/objects
+	 * @param {boolean} objectMode set false to create stream processing buffers/strings instead of objects
+	 * @param {AbortSignal} signal signal for destroying stream with AbortError
+	 * @returns {Transform} created stream
+	 */
+	static transform( fn, { concurrency = 1, ordered = true, objectMode = true, signal = undefined } = {} ) {
+		if ( typeof fn !== "function" ) {
+			throw new TypeError( "invalid function rejected" );
+		}
+
+		const limit = normalizeConcurrency( concurrency );
+		const completed = new Map();
+		let counter = 0;
+		let emitted = 0;
+		let running = 0;
+		let resume = null;
+		let finish = null;
+
+		const stream = new Stream.Transform( {
+			objectMode,
+			transform: ( chunk, encoding, callback ) => {
+				const index = counter++;
+				const outputs = [];
+
+				const push = value => {
+					if ( value != null ) {
+						outputs.push( value );
+					}
+				};
+
+				running++;
+
+				new Promise( resolve => resolve( fn.call( stream, chunk, index, push, signal ) ) )
+					.then( result => {
+						push( result );
+						complete( index, outputs );
+					} )
+					.catch( error => stream.destroy( error ) );
+
+				if ( running < limit ) {
+					callback();
+				} else {
+					resume = callback;
+				}
+			},
+			flush: callback => {
+				if ( running === 0 ) {
+					callback();
+				} else {
+					finish = callback;
+				}
+			},
+		} );
+
+		if ( signal ) {
+			const detach = listenForAbort( signal, () => stream.destroy( new AbortError( signal.reason ) ) );
+
+			stream.once( "close", detach );
+
+			if ( signal.aborted ) {
+				stream.destroy( new AbortError( signal.reason ) );
+			}
+		}
+
+		return stream;
+
+		/**
+		 * Marks processing of chunk/object complete.
+		 *
+		 * @param {int} index index of processed chunk/object
+		 * @param {Array} outputs results to be pushed
+		 * @returns {void}
+		 */
+		function complete( index, outputs ) {
+			if ( stream.destroyed ) {
+				return;
+			}
+
+			if ( ordered ) {
+				completed.set( index, outputs );
+
+				while ( completed.has( emitted ) ) {
+					emit( completed.get( emitted ) );
+					completed.delete( emitted++ );
+				}
+			} else {
+				emit( outputs );
+			}
+
+			if ( resume && running < limit ) {
+				const callback = resume;
+
+				resume = null;
+				callback();
+			}
+
+			if ( finish && running === 0 ) {
+				finish();
+			}
+		}
+
+		/**
+		 * Pushes results of processing single chunk/object.
+		 *
+		 * @param {Array} outputs results to be pushed
+		 * @returns {void}
+		 */
+		function emit( outputs ) {
+			running--;
+
+			for ( const output of outputs ) {
+				stream.push( output );
+			}
+		}
+	}
+
+	/**
+	 * Wraps asynchronous function accepting node-style callback in a promise.
+	 *
+	 * @note A promisified variant of function provided in its property
+	 *       `util.promisify.custom` is used instead of wrapping the function.
+	 *
+	 * @note Invoking callback more than once is ignored and results in a
+	 *       process warning.
+	 *
+	 * @param {function} fn function to be promisified
+	 * @param {object} bindTo context for binding given function to on invocation
+	 * @param {boolean|Array<string>} multiArgs set true to promise array of all values passed to callback, provide names to promise object instead
+	 * @param {boolean} errorFirst set false if callback isn't invoked with error in first argument
+	 * @returns {function():Promise} returns provided function returning Promise instead of using node-style callback
+	 */
+	static promisify( fn, bindTo = undefined, { multiArgs = false, errorFirst = true } = {} ) {
+		if ( typeof fn !== "function" ) {
+			throw new TypeError( "invalid function rejected" );
+		}
+
+		if ( typeof fn[customPromisified] === "function" ) {
+			return bindTo === undefined ? fn[customPromisified] : fn[customPromisified].bind( bindTo );
+		}
+
+		/**
+		 * Invokes promisified function.
+		 *
+		 * @param {*} args arguments passed to promisified function
+		 * @returns {Promise} promises value(s) passed to callback
+		 */
+		function promisified( ...args ) {
+			const length = args.length;
+			const copy = new Array( length + 1 );
+
+			for ( let i = 0; i < length; i++ ) {
+				copy[i] = args[i];
+			}
+
+			return new Promise( ( resolve, reject ) => {
+				let invoked = false;
+
+				copy[length] = ( ...values ) => {
+					if ( invoked ) {
+						process.emitWarning( `callback of promisified function ${fn.name || "<anonymous>"} invoked multiple times` );
+						return;
+					}
+
+					invoked = true;
+
+					if ( errorFirst && values[0] ) {
+						reject( values[0] );
+						return;
+					}
+
+					const results = errorFirst ? values.slice( 1 ) : values;
+
+					if ( Array.isArray( multiArgs ) ) {
+						const named = {};
+
+						for ( let i = 0; i < multiArgs.length; i++ ) {
+							named[multiArgs[i]] = results[i];
+						}
+
+						resolve( named );
+					} else {
+						resolve( multiArgs ? results : results[0] );
+					}
+				};
+
+				fn.apply( bindTo === undefined ? this : bindTo, copy );
+			} );
+		}
+
+		Object.defineProperties( promisified, {
+			length: { value: fn.length },
+			name: { value: fn.name },
+			[PROMISIFIED]: { value: true },
+		} );
+
+		return promisified;
+	}
+
+	/**
+	 * Adds promisified sibling for every method of provided object.
+	 *
+	 * @note Methods inherited from prototypes are promisified as well. On
+	 *       providing a function or class, its static methods and the methods
+	 *       of its prototype are promisified.
+	 *
+	 * @note Siblings of an object's methods are bound to that object. Siblings
+	 *       of prototype methods are invoked on the instance they are called on.
+	 *
+	 * @note Getters, class constructors, promisified functions and methods
+	 *       with existing sibling are skipped.
+	 *
+	 * @param {object|function} target object, module or class to promisify
+	 * @param {string} suffix suffix appended to name of method for naming its promisified sibling
+	 * @param {function(name:string, fn:function, target:(object|function)):boolean} filter decides whether some method is promisified
+	 * @param {boolean|Array<string>} multiArgs controls whether promising all values passed to callbacks, see promisify()
+	 * @returns {object|function} provided target, object derived from it if target isn't extensible
+	 */
+	static promisifyAll( target, { suffix = "Async", filter = defaultPromisifyFilter, multiArgs = false } = {} ) {
+		if ( !target || ( typeof target !== "object" && typeof target !== "function" ) ) {
+			throw new TypeError( "invalid target rejected" );
+		}
+
+		if ( typeof suffix !== "string" || suffix === "" || typeof filter !== "function" ) {
+			throw new TypeError( "invalid promisification options rejected" );
+		}
+
+		const result = Object.isExtensible( target ) ? target : Object.create( target );
+
+		promisifyMethods( target, result, true, { suffix, filter, multiArgs } );
+
+		if ( typeof target === "function" && target.prototype && typeof target.prototype === "object" && Object.isExtensible( target.prototype ) ) {
+			promisifyMethods( target.prototype, target.prototype, false, { suffix, filter, multiArgs } );
+		}
+
+		return result;
+	}
+
+	/**
+	 * Wraps function returning promise to accept node-style callback in last
+	 * argument instead.
+	 *
+	 * @note Callback is invoked exactly once in a separate tick so exceptions
+	 *       thrown there don't result in rejected promises.
+	 *
+	 * @note Rejecting with falsy reason is passing an error to the callback
+	 *       which exposes the original reason in its property `reason`.
+	 *
+	 * @param {function():Promise} fn function to be wrapped
+	 * @param {boolean} multiArgs set true to spread array promised by function as arguments to callback
+	 * @returns {function} provided function accepting node-style callback in last argument instead of returning promise
+	 */
+	static callbackify( fn, { multiArgs = false } = {} ) {
+		if ( typeof fn !== "function" ) {
+			throw new TypeError( "invalid function rejected" );
+		}
+
+		/**
+		 * Invokes wrapped function passing its outcome to callback.
+		 *
+		 * @param {*} args arguments passed to wrapped function followed by node-style callback
+		 * @returns {void}
+		 */
+		function callbackified( ...args ) {
+			const callback = args.pop();
+
+			if ( typeof callback !== "function" ) {
+				throw new TypeError( "missing callback in last argument" );
+			}
+
+			new Promise( resolve => resolve( fn.apply( this, args ) ) )
+				.then( result => {
+					if ( multiArgs && Array.isArray( result ) ) {
+						process.nextTick( callback, null, ...result );
+					} else {
+						process.nextTick( callback, null, result );
+					}
+				} )
+				.catch( reason => {
+					let error = reason;
+
+					if ( !reason ) {
+						error = new Error( "promise rejected with falsy reason" );
+						error.code = "ERR_FALSY_VALUE_REJECTION";
+						error.reason = reason;
+					}
+
+					process.nextTick( callback, error );
+				} );
+		}
+
+		Object.defineProperties( callbackified, {
+			length: { value: fn.length + 1 },
+			name: { value: fn.name },
+		} );
+
+		return callbackified;
+	}
+
+	/**
+	 * Creates promise along with functions for settling it externally.
+	 *
+	 * @note Settling deferred promise more than once is ignored. Provided hook
+	 *       is invoked with action and value on every such late attempt.
+	 *
+	 * @param {function(action:string, value:*)} onLateSettlement invoked on trying to settle deferred promise again
+	 * @returns {{promise:Promise, resolve:function(*):boolean, reject:function(*):boolean, settled:boolean, state:string}} deferred promise
+	 */
+	static defer( { onLateSettlement = null } = {} ) {
+		if ( onLateSettlement != null && typeof onLateSettlement !== "function" ) {
+			throw new TypeError( "invalid late settlement handler rejected" );
+		}
+
+		let state = "pending";
+		let locked = false;
+		let resolvePromise, rejectPromise;
+
+		const promise = new Promise( ( onFulfilled, onRejected ) => {
+			resolvePromise = onFulfilled;
+			rejectPromise = onRejected;
+		} );
+
+		return {
+			promise,
+			resolve,
+			reject,
+			get settled() { return state !== "pending"; },
+			get state() { return state; },
+		};
+
+		/**
+		 * Resolves deferred promise unless settled before.
+		 *
+		 * @param {*} value value to fulfil promise with, promise or thenable to adopt
+		 * @returns {boolean} true if promise has been resolved, false if settled before
+		 */
+		function resolve( value ) {
+			if ( !lock( "resolve", value ) ) {
+				return false;
+			}
+
+			if ( value && ( typeof value === "object" || typeof value === "function" ) && typeof value.then === "function" ) {
+				resolvePromise( Promise.resolve( value ).then( result => {
+					state = "fulfilled";
+					return result;
+				}, error => {
+					state = "rejected";
+					throw error;
+				} ) );
+			} else {
+				state = "fulfilled";
+				resolvePromise( value );
+			}
+
+			return true;
+		}
+
+		/**
+		 * Rejects deferred promise unless settled before.
+		 *
+		 * @param {*} reason reason for rejecting promise
+		 * @returns {boolean} true if promise has been rejected, false if settled before
+		 */
+		function reject( reason ) {
+			if ( !lock( "reject", reason ) ) {
+				return false;
+			}
+
+			state = "rejected";
+			rejectPromise( reason );
+
+			return true;
+		}
+
+		/**
+		 * Marks deferred promise as settled unless it has been marked before.
+		 *
+		 * @param {string} action name of action trying to settle promise
+		 * @param {*} value value provided for settling promise
+		 * @returns {boolean} true if promise has been marked, false if it has been marked before
+		 */
+		function lock( action, value ) {
+			if ( locked ) {
+				if ( onLateSettlement ) {
+					onLateSettlement( action, value );
+				}
+
+				return false;
+			}
+
+			locked = true;
+
+			return true;
+		}
+	}
+}
+
+/**
+ * Implements semaphore granting limited number of permits to asynchronous
+ * consumers in order of request.
+ */
+class Semaphore {
+	/**
+	 * @param {int} permits number of permits available for acquisition
+	 */
+	constructor( permits = 1 ) {
+		const capacity = parseInt( permits );
+		if ( !( capacity > 0 ) || capacity !== Number( permits ) ) {
+			throw new TypeError( "invalid number of permits rejected" );
+		}
+
+		this._capacity = capacity;
+		this._available = capacity;
+		this._waiting = [];
+	}
+
+	/**
+	 * Fetches total number of permits managed by semaphore.
+	 *
+	 * @returns {int} total number of permits
+	 */
+	get capacity() {
+		return this._capacity;
+	}
+
+	/**
+	 * Fetches number of permits currently available for acquisition.
+	 *
+	 * @returns {int} number of available permits
+	 */
+	get available() {
+		return this._available;
+	}
+
+	/**
+	 * Fetches number of pending requests for acquiring permits.
+	 *
+	 * @returns {int} number of pending requests
+	 */
+	get waiting() {
+		return this._waiting.length;
+	}
+
+	/**
+	 * Acquires given number of permits.
+	 *
+	 * @note Requests are granted in order of occurrence. Thus, a request for
+	 *       many permits is blocking all succeeding requests until granted.
+	 *
+	 * @param {int} weight number of permits to acquire
+	 * @param {number} timeout number of milliseconds to wait for permits at most
+	 * @param {AbortSignal} signal signal for withdrawing request
+	 * @returns {Promise} promises permits acquired, rejected with TimeoutError or AbortError when withdrawn
+	 */
+	acquire( weight = 1, { timeout = undefined, signal = undefined } = {} ) {
+		return this._acquire( weight, { timeout, signal } );
+	}
+
+	/**
+	 * Instantly acquires given number of permits if available.
+	 *
+	 * @param {int} weight number of permits to acquire
+	 * @returns {boolean} true if permits have been acquired, false otherwise
+	 */
+	tryAcquire( weight = 1 ) {
+		const required = this._validateWeight( weight );
+
+		if ( this._waiting.length > 0 || required > this._available ) {
+			return false;
+		}
+
+		this._available -= required;
+
+		return true;
+	}
+
+	/**
+	 * Releases given number of previously acquired permits.
+	 *
+	 * @param {int} weight number of permits to release
+	 * @returns {void}
+	 */
+	release( weight = 1 ) {
+		this._release( weight );
+	}
+
+	/**
+	 * Invokes provided function after acquiring given number of permits and
+	 * releases them when function's result has settled.
+	 *
+	 * @param {function():(Promise|*)} fn function to invoke while holding permits
+	 * @param {int} weight number of permits to acquire
+	 * @param {number} timeout number of milliseconds to wait for permits at most
+	 * @param {AbortSignal} signal signal for withdrawing request for permits
+	 * @returns {Promise<*>} promises result of provided function
+	 */
+	use( fn, weight = 1, { timeout = undefined, signal = undefined } = {} ) {
+		return this._acquire( weight, { timeout, signal } )
+			.then( () => new Promise( done => done( fn() ) )
+				.then( result => {
+					this._release( weight );
+					return result;
+				} )
+				.catch( error => {
+					this._release( weight );
+					throw error;
+				} ) );
+	}
+
+	/**
+	 * Implements acquisition of permits.
+	 *
+	 * @param {int} weight number of permits to acquire
+	 * @param {number} timeout number of milliseconds to wait for permits at most
+	 * @param {AbortSignal} signal signal for withdrawing request
+	 * @returns {Promise} promises permits acquired
+	 * @protected
+	 */
+	_acquire( weight, { timeout, signal } ) {
+		const required = this._validateWeight( weight );
+
+		return new Promise( ( resolve, reject ) => {
+			if ( signal && signal.aborted ) {
+				reject( new AbortError( signal.reason ) );
+				return;
+			}
+
+			if ( this._waiting.length === 0 && required <= this._available ) {
+				this._available -= required;
+				resolve();
+				return;
+			}
+
+			const request = {
+				weight: required,
+				grant: () => {
+					cleanup();
+					resolve();
+				},
+			};
+
+			const withdraw = error => {
+				cleanup();
+
+				this._waiting.splice( this._waiting.indexOf( request ), 1 );
+				this._grant();
+
+				reject( error );
+			};
+
+			const timer = timeout == null ? null : setTimeout( () => {
+				withdraw( new TimeoutError( `acquiring ${required} permit(s) timed out after ${timeout}ms`, timeout ) );
+			}, timeout );
+
+			const detach = listenForAbort( signal, () => withdraw( new AbortError( signal.reason ) ) );
+
+			/**
+			 * Releases timer and abort signal of pending request.
+			 *
+			 * @returns {void}
+			 */
+			function cleanup() {
+				clearTimeout( timer );
+				detach();
+			}
+
+			this._waiting.push( request );
+		} );
+	}
+
+	/**
+	 * Implements release of permits.
+	 *
+	 * @param {int} weight number of permits to release
+	 * @returns {void}
+	 * @protected
+	 */
+	_release( weight ) {
+		const released = this._validateWeight( weight );
+
+		if ( this._available + released > this._capacity ) {
+			throw new RangeError( "releasing more permits than acquired rejected" );
+		}
+
+		this._available += released;
+		this._grant();
+	}
+
+	/**
+	 * Grants permits to pending requests in order of occurrence as long as
+	 * sufficient permits are available.
+	 *
+	 * @returns {void}
+	 * @protected
+	 */
+	_grant() {
+		while ( this._waiting.length > 0 && this._waiting[0].weight <= this._available ) {
+			const request = this._waiting.shift();
+
+			this._available -= request.weight;
+			request.grant();
+		}
+	}
+
+	/**
+	 * Validates provided number of permits.
+	 *
+	 * @param {*} weight number of permits to validate
+	 * @returns {int} validated number of permits
+	 * @throws TypeError on invalid number of permits
+	 * @throws RangeError on number of permits exceeding capacity of semaphore
+	 * @protected
+	 */
+	_validateWeight( weight ) {
+		const value = parseInt( weight );
+		if ( !( value > 0 ) || value !== Number( weight ) ) {
+			throw new TypeError( "invalid number of permits rejected" );
+		}
+
+		if ( value > this._capacity ) {
+			throw new RangeError( "number of permits exceeding capacity of semaphore rejected" );
+		}
+
+		return value;
+	}
+}
+
+/**
+ * Implements mutex granting exclusive access to asynchronous consumers in order
+ * of request.
+ */
+class Mutex extends Semaphore {
+	/**
+	 * Creates mutex.
+	 */
+	constructor() {
+		super( 1 );
+	}
+
+	/**
+	 * Indicates whether mutex is currently locked.
+	 *
+	 * @returns {boolean} true if mutex is locked
+	 */
+	get locked() {
+		return this._available === 0;
+	}
+
+	/**
+	 * Locks mutex.
+	 *
+	 * @param {number} timeout number of milliseconds to wait for lock at most
+	 * @param {AbortSignal} signal signal for withdrawing request
+	 * @returns {Promise} promises mutex locked, rejected with TimeoutError or AbortError when withdrawn
+	 */
+	acquire( { timeout = undefined, signal = undefined } = {} ) {
+		return this._acquire( 1, { timeout, signal } );
+	}
+
+	/**
+	 * Instantly locks mutex if it isn't locked.
+	 *
+	 * @returns {boolean} true if mutex has been locked, false otherwise
+	 */
+	tryAcquire() {
+		return super.tryAcquire( 1 );
+	}
+
+	/**
+	 * Unlocks mutex.
+	 *
+	 * @returns {void}
+	 */
+	release() {
+		this._release( 1 );
+	}
+
+	/**
+	 * Invokes provided function after locking mutex and unlocks it when
+	 * function's result has settled.
+	 *
+	 * @param {function():(Promise|*)} fn function to invoke while holding lock
+	 * @param {number} timeout number of milliseconds to wait for lock at most
+	 * @param {AbortSignal} signal signal for withdrawing request for lock
+	 * @returns {Promise<*>} promises result of provided function
+	 */
+	use( fn, { timeout = undefined, signal = undefined } = {} ) {
+		return super.use( fn, 1, { timeout, signal } );
+	}
+}
+
+/**
+ * Implements queue of asynchronous tasks running up to a given number of tasks
+ * simultaneously in order of priority.
+ */
+class Queue {
+	/**
+	 * @param {int} concurrency maximum number of tasks running simultaneously
+	 * @param {boolean} autoStart set false to create paused queue
+	 */
+	constructor( { concurrency = 1, autoStart = true } = {} ) {
+		this._concurrency = normalizeConcurrency( concurrency );
+		this._paused = !autoStart;
+		this._queued = [];
+		this._running = 0;
+		this._onEmpty = [];
+		this._onIdle = [];
+	}
+
+	/**
+	 * Fetches maximum number of tasks running simultaneously.
+	 *
+	 * @returns {int} maximum number of running tasks
+	 */
+	get concurrency() {
+		return this._concurrency;
+	}
+
+	/**
+	 * Fetches number of tasks waiting for being started.
+	 *
+	 * @returns {int} number of queued tasks
+	 */
+	get size() {
+		return this._queued.length;
+	}
+
+	/**
+	 * Fetches number of currently running tasks.
+	 *
+	 * @returns {int} number of running tasks
+	 */
+	get pending() {
+		return this._running;
+	}
+
+	/**
+	 * Indicates whether queue has been paused.
+	 *
+	 * @returns {boolean} true if queue isn't starting any further tasks
+	 */
+	get isPaused() {
+		return this._paused;
+	}
+
+	/**
+	 * Enqueues task to be run as soon as all tasks of same or higher priority
+	 * enqueued before have been started.
+	 *
+	 * @param {function(signal:AbortSignal=):(Promise|*)} task function to invoke
+	 * @param {number} priority priority of task, tasks of higher priority are started first
+	 * @param {AbortSignal} signal signal for withdrawing queued task, passed to task on invocation
+	 * @returns {Promise<*>} promises result of task, rejected with AbortError when withdrawn
+	 */
+	add( task, { priority = 0, signal = undefined } = {} ) {
+		if ( typeof task !== "function" ) {
+			throw new TypeError( "invalid task rejected" );
+		}
+
+		return new Promise( ( resolve, reject ) => {
+			if ( signal && signal.aborted ) {
+				reject( new AbortError( signal.reason ) );
+				return;
+			}
+
+			const entry = { task, priority, signal, resolve, reject };
+
+			entry.detach = listenForAbort( signal, () => {
+				this._queued.splice( this._queued.indexOf( entry ), 1 );
+				this._notify();
+
+				reject( new AbortError( signal.reason ) );
+			} );
+
+			let index = this._queued.length;
+			while ( index > 0 && this._queued[index - 1].priority < priority ) {
+				index--;
+			}
+
+			this._queued.splice( index, 0, entry );
+			this._dispatch();
+		} );
+	}
+
+	/**
+	 * Pauses queue preventing any further task from being started.
+	 *
+	 * @returns {void}
+	 */
+	pause() {
+		this._paused = true;
+	}
+
+	/**
+	 * Resumes paused queue.
+	 *
+	 * @returns {void}
+	 */
+	resume() {
+		if ( this._paused ) {
+			this._paused = false;
+			this._dispatch();
+		}
+	}
+
+	/**
+	 * Drops all queued tasks rejecting their promises with AbortError.
+	 *
+	 * @note Running tasks are not affected.
+	 *
+	 * @returns {void}
+	 */
+	clear() {
+		const dropped = this._queued.splice( 0 );
+
+		for ( const entry of dropped ) {
+			entry.detach();
+			entry.reject( new AbortError( "queue has been cleared" ) );
+		}
+
+		this._notify();
+	}
+
+	/**
+	 * Promises queue having started all queued tasks.
+	 *
+	 * @returns {Promise} promises queue without any queued task
+	 */
+	onEmpty() {
+		if ( this._queued.length === 0 ) {
+			return Promise.resolve();
+		}
+
+		return new Promise( resolve => this._onEmpty.push( resolve ) );
+	}
+
+	/**
+	 * Promises queue having finished all tasks.
+	 *
+	 * @returns {Promise} promises queue without any queued or running task
+	 */
+	onIdle() {
+		if ( this._queued.length === 0 && this._running === 0 ) {
+			return Promise.resolve();
+		}
+
+		return new Promise( resolve => this._onIdle.push( resolve ) );
+	}
+
+	/**
+	 * Starts queued tasks as long as limit of simultaneously running tasks
+	 * hasn't been reached.
+	 *
+	 * @returns {void}
+	 * @protected
+	 */
+	_dispatch() {
+		while ( !this._paused && this._running < this._concurrency && this._queued.length > 0 ) {
+			const { task, signal, resolve, reject, detach } = this._queued.shift();
+
+			detach();
+			this._running++;
+
+			new Promise( done => done( task( signal ) ) )
+				.then( result => {
+					this._finish();
+					resolve( result );
+				} )
+				.catch( error => {
+					this._finish();
+					reject( error );
+				} );
+		}
+
+		this._notify();
+	}
+
+	/**
+	 * Accounts for running task having finished.
+	 *
+	 * @returns {void}
+	 * @protected
+	 */
+	_finish() {
+		this._running--;
+		this._dispatch();
+	}
+
+	/**
+	 * Settles promises waiting for queue becoming empty or idle.
+	 *
+	 * @returns {void}
+	 * @protected
+	 */
+	_notify() {
+		if ( this._queued.length === 0 ) {
+			this._onEmpty.splice( 0 ).forEach( resolve => resolve() );
+
+			if ( this._running === 0 ) {
+				this._onIdle.splice( 0 ).forEach( resolve => resolve() );
+			}
+		}
+	}
+}
+
+PromiseUtil.AbortError = AbortError;
+PromiseUtil.TimeoutError = TimeoutError;
+PromiseUtil.RetryError = RetryError;
+PromiseUtil.IterationError = IterationError;
+PromiseUtil.ParseError = ParseError;
+PromiseUtil.LimitExceededError = LimitExceededError;
+PromiseUtil.CircuitOpenError = CircuitOpenError;
+PromiseUtil.Semaphore = Semaphore;
+PromiseUtil.Mutex = Mutex;
+PromiseUtil.Queue = Queue;
+
+module.exports = PromiseUtil;
+
+/**
+ * Prepares sequential list of keys for successively iterating over elements of
+ * a given collection.
+ *
+ * @note Sets and any other synchronously or asynchronously iterable collection
+ *       is prepared for lazily fetching items from an iterator instead.
+ *
+ * @param {object} items collection to be iterated
+ * @param {boolean} createCollector set true to get an empty collector
+ * @param {boolean} asArray set true to always array as collector, otherwise it's an empty collector matching provided set of items by type
+ * @returns {{indexes: ?Array, length: ?int, useGet: boolean, collector: object, iterator: ?Iterator, isAsync: boolean}} prepared iteration context
+ */
+function prepareIteration( items, { createCollector = false, asArray = false } = {} ) {
+	let indexes, length, useGet = false, collector = null, iterator = null, isAsync = false;
+
+	if ( items instanceof Map ) {
+		useGet = true;
+
+		length = items.size;
+		indexes = new Array( length );
+
+		let index = 0;
+		for ( const key of items.keys() ) {
+			indexes[index++] = key;
+		}
+
+		if ( createCollector ) {
+			collector = asArray ? new Array( length ) : new Map();
+		}
+	} else if ( Array.isArray( items ) || ( items.length > -1 && parseInt( items.length ) === parseFloat( items.length ) ) ) {
+		// prepare for iterating over indexes of array or array-like collection
+		length = items.length;
+		indexes = null;
+
+		if ( createCollector ) {
+			collector = new Array( length );
+		}
+	} else if ( typeof items[Symbol.iterator] === "function" || typeof items[Symbol.asyncIterator] === "function" ) {
+		// prepare for lazily fetching items from (async) iterator
+		isAsync = typeof items[Symbol.iterator] !== "function";
+		iterator = isAsync ? items[Symbol.asyncIterator]() : items[Symbol.iterator]();
+		length = items instanceof Set ? items.size : null;
+		indexes = null;
+
+		if ( createCollector ) {
+			collector = !asArray && items instanceof Set ? new Set() : [];
+		}
+	} else if ( typeof items === "object" ) {
+		// prepare for iterating over properties of object
+		indexes = Object.keys( items );
+		length = indexes.length;
+
+		if ( createCollector ) {
+			collector = asArray ? new Array( length ) : {};
+		}
+	} else {
+		throw new TypeError( "non-iterable collection rejected" );
+	}
+
+	return { indexes, length, useGet, collector, iterator, isAsync };
+}
+
+/**
+ * Invokes callback on every item of a collection with up to a given number of
+ * invocations running simultaneously.
+ *
+ * Results of callback are passed to provided consumer in order of items in
+ * collection no matter which invocation has completed first unless requesting
+ * unordered consumption. The consumer may return truthy value to stop
+ * iteration early.
+ *
+ * An optional bounding function is invoked with every result as soon as it is
+ * available. By returning truthy it declares that none of the items following
+ * in order of iteration has to be processed, thus no callback is invoked on
+ * those items anymore and their failures are ignored.
+ *
+ * Invocations are scheduled in a queue which is fed with another item as soon
+ * as it is capable of running another invocation.
+ *
+ * Failures of callback are wrapped in IterationError. When collecting errors,
+ * iteration continues on failures and eventually rejects with AggregateError
+ * listing all failures in order of items.
+ *
+ * @note Items of iterable collections are fetched from iterator on demand.
+ *       Iterating in reverse order isn't supported for those collections.
+ *
+ * @param {object} items collection to be iterated
+ * @param {{indexes: ?Array, length: ?int, useGet: boolean, iterator: ?Iterator, isAsync: boolean}} context iteration context as provided by prepareIteration()
+ * @param {IterationCallbackAny} fn callback invoked per item of collection
+ * @param {function(result:*, key:(number|string), item:*, index:int):boolean} consume invoked in order of items with result of callback
+ * @param {int} concurrency maximum number of callback invocations running simultaneously
+ * @param {boolean} reverse set true to iterate over items in reverse order
+ * @param {AbortSignal} signal signal for aborting iteration, passed to callback as well
+ * @param {boolean} collectErrors set true to continue iteration on callback failing
+ * @param {function(ProgressReport)} onProgress invoked with progress report after every processed item
+ * @param {number} progressInterval minimum number of milliseconds between progress reports
+ * @param {boolean} ordered set false to pass results to consumer in order of completion
+ * @param {?function(result:*):boolean} bound invoked with result of callback on completion, returns true if no following item has to be processed
+ * @returns {Promise<boolean>} promises true if consumer has stopped iteration early, false otherwise
+ */
+function iterate( items, context, fn, consume, {
+	concurrency = 1, reverse = false, signal = undefined,
+	collectErrors = false, onProgress = null, progressInterval = 0,
+	ordered = true, bound = null,
+} = {} ) {
+	const { indexes, length, useGet, iterator, isAsync } = context;
+	const queue = new Queue( { concurrency } );
+	const progress = createProgressReporter( onProgress, { total: length == null ? undefined : length, interval: progressInterval } );
+
+	return new Promise( function( _resolve, _reject ) {
+		const completed = new Map();
+		const failures = [];
+		let launched = 0;
+		let consumed = 0;
+		let limit = Infinity;
+		let stopped = false;
+		let exhausted = false;
+		let pulling = false;
+
+		if ( signal && signal.aborted ) {
+			close();
+			_reject( new AbortError( signal.reason ) );
+			return;
+		}
+
+		const detach = listenForAbort( signal, () => {
+			reject( new AbortError( signal.reason ) );
+		} );
+
+		const resolve = result => {
+			detach();
+
+			if ( failures.length > 0 ) {
+				_reject( new AggregateError( failures, `callback failed on ${failures.length} item(s)` ) );
+			} else {
+				_resolve( result );
+			}
+		};
+
+		const reject = error => {
+			if ( !stopped ) {
+				stopped = true;
+				close();
+			}
+
+			detach();
+			_reject( error );
+		};
+
+		launch();
+
+		/**
+		 * Invokes callback on further items of collection unless limit of
+		 * simultaneously running invocations has been reached.
+		 *
+		 * @returns {void}
+		 */
+		function launch() {
+			try {
+				let more = true;
+
+				while ( more ) {
+					more = pull();
+				}
+			} catch ( error ) {
+				reject( error );
+				return;
+			}
+
+			if ( !stopped && exhausted && queue.pending === 0 ) {
+				resolve( false );
+			}
+		}
+
+		/**
+		 * Fetches next item of collection and invokes callback on it unless
+		 * limit of simultaneously running invocations has been reached.
+		 *
+		 * @returns {boolean} true if another item might be fetched instantly
+		 */
+		function pull() {
+			if ( stopped || exhausted || pulling || launched >= limit || queue.pending >= queue.concurrency ) {
+				return false;
+			}
+
+			if ( !iterator ) {
+				if ( launched < length ) {
+					const index = reverse ? length - launched - 1 : launched;
+					const key = indexes ? indexes[index] : index;
+
+					invoke( key, index, useGet ? items.get( key ) : items[key] );
+				} else {
+					exhausted = true;
+				}
+
+				return true;
+			}
+
+			if ( !isAsync ) {
+				const next = iterator.next();
+
+				if ( next.done ) {
+					exhausted = true;
+				} else {
+					invoke( launched, launched, next.value );
+				}
+
+				return true;
+			}
+
+			pulling = true;
+
+			new Promise( done => done( iterator.next() ) )
+				.then( next => {
+					pulling = false;
+
+					if ( next.done ) {
+						exhausted = true;
+					} else if ( !stopped ) {
+						invoke( launched, launched, next.value );
+					}
+
+					launch();
+				} )
+				.catch( reject );
+
+			return false;
+		}
+
+		/**
+		 * Invokes callback on single item of collection.
+		 *
+		 * @param {number|string} key key of item in collection
+		 * @param {int} index index of item into collection
+		 * @param {*} item item of collection
+		 * @returns {void}
+		 */
+		function invoke( key, index, item ) {
+			const position = launched++;
+
+			queue
+				.add( () => {
+					if ( item instanceof Promise ) {
+						return item.then( i => fn( i, key, items, signal ) );
+					}
+
+					return fn( item, key, items, signal );
+				} )
+				.then( result => {
+					if ( !stopped && position < limit ) {
+						if ( bound && bound( result ) ) {
+							limit = position + 1;
+						}
+
+						completed.set( position, { result, key, item, index } );
+						drain();
+					}
+				}, error => {
+					if ( stopped || position >= limit || ( signal && signal.aborted ) ) {
+						return;
+					}
+
+					const failure = new IterationError( error, key, index, item );
+
+					if ( collectErrors ) {
+						completed.set( position, { failure, key } );
+						drain();
+					} else {
+						reject( failure );
+					}
+				} )
+				.catch( reject );
+		}
+
+		/**
+		 * Passes results of completed invocations to consumer in order of
+		 * items in collection or in order of completion.
+		 *
+		 * @returns {void}
+		 */
+		function drain() {
+			while ( completed.size > 0 ) {
+				const position = ordered ? consumed : completed.keys().next().value;
+
+				if ( !completed.has( position ) ) {
+					break;
+				}
+
+				const { result, key, item, index, failure } = completed.get( position );
+
+				completed.delete( position );
+				consumed++;
+
+				const stop = !failure && consume( result, key, item, index );
+
+				if ( failure ) {
+					failures.push( failure );
+				}
+
+				if ( progress ) {
+					progress( key );
+				}
+
+				if ( stop ) {
+					stopped = true;
+					close();
+					resolve( true );
+					return;
+				}
+			}
+
+			process.nextTick( launch );
+		}
+
+		/**
+		 * Closes iterator of collection that hasn't been exhausted.
+		 *
+		 * @returns {void}
+		 */
+		function close() {
+			if ( iterator && !exhausted && typeof iterator.return === "function" ) {
+				new Promise( done => done( iterator.return() ) ).catch( noop );
+			}
+		}
+	} );
+}
+
+/**
+ * Searches collection for first or last item callback is returning truthy
+ * value for.
+ *
+ * @note Lazily iterated collections can't be searched in reverse order. Thus,
+ *       searching for last match in such a collection is invoking callback on
+ *       every item.
+ *
+ * @note When running callbacks simultaneously, the match is found in order of
+ *       items no matter which item is processed first. Callback isn't invoked
+ *       on items following some match, though.
+ *
+ * @param {object} items collection to be searched
+ * @param {object} context iteration context as provided by prepareIteration()
+ * @param {IterationCallbackBoolean} fn callback invoked per item to identify the one to be found
+ * @param {boolean} getLast set true to search for last match instead of first one
+ * @param {int} concurrency maximum number of callback invocations running simultaneously
+ * @param {AbortSignal} signal signal for aborting search
+ * @returns {Promise<?{key:(number|string), item:*}>} promises key and item of match, null if there is no match
+ */
+function search( items, context, fn, { getLast = false, concurrency = 1, signal = undefined } = {} ) {
+	const scanAll = getLast && Boolean( context.iterator );
+	let found = null;
+
+	return iterate( items, context, fn, ( result, key, item ) => {
+		if ( result ) {
+			found = { key, item };
+			return !scanAll;
+		}
+
+		return false;
+	}, { concurrency, reverse: getLast, signal, bound: scanAll ? null : result => Boolean( result ) } )
+		.then( () => found );
+}
+
+/**
+ * Sequentially folds items of a collection into single value.
+ *
+ * @param {object} items collection to be folded
+ * @param {ReductionCallback} fn callback invoked per item with current accumulator, returns next accumulator
+ * @param {boolean} hasInitial true if initial value has been provided
+ * @param {*} initial initial value of accumulator, may be promise
+ * @param {boolean} reverse set true to process items in reverse order
+ * @param {AbortSignal} signal signal for aborting iteration
+ * @returns {Promise<*>} promises final accumulator
+ */
+function fold( items, fn, hasInitial, initial, { reverse = false, signal = undefined } = {} ) {
+	const context = prepareIteration( items );
+
+	if ( reverse && context.iterator ) {
+		// lazily iterated collections can't be processed in reverse order
+		const fetched = [];
+
+		return iterate( items, context, item => item, item => { fetched.push( item ); }, { signal } )
+			.then( () => fold( fetched, fn, hasInitial, initial, { reverse, signal } ) );
+	}
+
+	return new Promise( done => done( initial ) )
+		.then( start => {
+			let accumulator = start;
+			let hasAccumulator = hasInitial;
+
+			return iterate( items, context, ( item, key, collection, _signal ) => {
+				if ( hasAccumulator ) {
+					return fn( accumulator, item, key, collection, _signal );
+				}
+
+				return item;
+			}, result => {
+				accumulator = result;
+				hasAccumulator = true;
+			}, { reverse, signal } )
+				.then( () => {
+					if ( !hasAccumulator ) {
+						throw new TypeError( "reducing empty collection without initial value rejected" );
+					}
+
+					return accumulator;
+				} );
+		} );
+}
+
+/**
+ * Creates function computing delay before next retry according to a given
+ * backoff strategy.
+ *
+ * @param {number} minDelay delay in milliseconds before first retry
+ * @param {number} maxDelay upper limit of delay in milliseconds before any retry
+ * @param {string|function(attempt:int):number} backoff strategy for growing delay on every retry
+ * @param {number} factor base of growth in exponential backoff
+ * @param {?string} jitter set "full" or "decorrelated" for randomizing delays
+ * @returns {function(attempt:int):number} computes delay in milliseconds after given number of failed attempts
+ * @throws TypeError on invalid strategy
+ */
+function createBackoff( { minDelay, maxDelay, backoff, factor, jitter } ) {
+	let strategy;
+
+	switch ( backoff ) {
+		case "constant" :
+			strategy = () => minDelay;
+			break;
+
+		case "linear" :
+			strategy = attempt => minDelay * attempt;
+			break;
+
+		case "exponential" :
+			strategy = attempt => minDelay * Math.pow( factor, attempt - 1 );
+			break;
+
+		default :
+			if ( typeof backoff !== "function" ) {
+				throw new TypeError( "invalid backoff strategy rejected" );
+			}
+
+			strategy = backoff;
+	}
+
+	switch ( jitter ) {
+		case null :
+		case undefined :
+			return attempt => Math.min( maxDelay, strategy( attempt ) );
+
+		case "full" :
+			return attempt => Math.random() * Math.min( maxDelay, strategy( attempt ) );
+
+		case "decorrelated" : {
+			let previous = minDelay;
+
+			return () => {
+				previous = Math.min( maxDelay, minDelay + ( Math.random() * ( ( previous * 3 ) - minDelay ) ) );
+
+				return previous;
+			};
+		}
+
+		default :
+			throw new TypeError( "invalid jitter rejected" );
+	}
+}
+
+/**
+ * Does nothing e.g. for use as handler ignoring events or failures.
+ *
+ * @returns {void}
+ */
+function noop() {
+	// intentionally empty
+}
+
+/**
+ * Registers handler to be invoked when provided signal gets aborted.
+ *
+ * @param {?AbortSignal} signal signal to observe, omit for never invoking handler
+ * @param {function():void} handler callback invoked on signal being aborted
+ * @returns {function():void} function detaching handler from signal
+ * @throws TypeError on invalid signal
+ */
+function listenForAbort( signal, handler ) {
+	if ( signal == null ) {
+		return noop;
+	}
+
+	if ( typeof signal.addEventListener !== "function" || typeof signal.aborted !== "boolean" ) {
+		throw new TypeError( "invalid abort signal rejected" );
+	}
+
+	signal.addEventListener( "abort", handler, { once: true } );
+
+	return () => signal.removeEventListener( "abort", handler );
+}
+
+/**
+ * Validates provided limit for number of simultaneously processed items.
+ *
+ * @param {*} concurrency limit to be validated
+ * @returns {int} validated limit
+ * @throws TypeError on invalid limit
+ */
+function normalizeConcurrency( concurrency ) {
+	if ( concurrency === Infinity ) {
+		return concurrency;
+	}
+
+	const limit = parseInt( concurrency );
+	if ( !( limit > 0 ) || limit !== Number( concurrency ) ) {
+		throw new TypeError( "invalid concurrency rejected" );
+	}
+
+	return limit;
+}
+
+/**
+ * Defines promisified siblings for methods of provided object.
+ *
+ * @param {object|function} source object to promisify methods of, including inherited ones
+ * @param {object|function} target object to define promisified siblings on
+ * @param {boolean} bind true to bind promisified siblings to source
+ * @param {string} suffix suffix appended to name of method for naming its promisified sibling
+ * @param {function(name:string, fn:function, target:(object|function)):boolean} filter decides whether some method is promisified
+ * @param {boolean|Array<string>} multiArgs controls whether promising all values passed to callbacks
+ * @returns {void}
+ */
+function promisifyMethods( source, target, bind, { suffix, filter, multiArgs } ) {
+	const seen = new Set();
+
+	for ( let host = source; host && host !== Object.prototype && host !== Function.prototype; host = Object.getPrototypeOf( host ) ) {
+		for ( const name of Object.getOwnPropertyNames( host ) ) {
+			if ( seen.has( name ) ) {
+				continue;
+			}
+
+			seen.add( name );
+
+			const { value } = Object.getOwnPropertyDescriptor( host, name );
+
+			if ( typeof value !== "function" || name === "constructor" || value[PROMISIFIED] || name.endsWith( suffix ) ) {
+				continue;
+			}
+
+			if ( name + suffix in target || /^class\b/.test( Function.prototype.toString.call( value ) ) || !filter( name, value, source ) ) {
+				continue;
+			}
+
+			Object.defineProperty( target, name + suffix, {
+				value: PromiseUtil.promisify( value, bind ? source : undefined, { multiArgs } ),
+				writable: true,
+				configurable: true,
+			} );
+		}
+	}
+}
+
+/**
+ * Decides whether method of given name is promisified by default.
+ *
+ * @param {string} name name of method
+ * @returns {boolean} true if method should be promisified
+ */
+function defaultPromisifyFilter( name ) {
+	return /^[a-z$][\w$]*$/i.test( name ) && !name.startsWith( "_" );
+}
+
+/**
+ * Parses JSON-encoded record.
+ *
+ * @param {string} line line of text containing record
+ * @param {int} lineNumber number of line
+ * @returns {*} parsed record
+ * @throws ParseError on malformed record
+ */
+function parseJsonRecord( line, lineNumber ) {
+	try {
+		return JSON.parse( line );
+	} catch ( error ) {
+		let column;
+
+		try {
+			column = locateJsonError( line ) + 1;
+		} catch ( locatorError ) {
+			column = 1;
+		}
+
+		throw new ParseError( "malformed JSON record", lineNumber, column );
+	}
+}
+
+/**
+ * Scans JSON-encoded text for position of first character breaking its syntax.
+ *
+ * @note Position reported by JSON.parse() isn't used for it is missing in error
+ *       messages of different versions of Node.js.
+ *
+ * @param {string} text JSON-encoded text
+ * @returns {int} index of first invalid character, length of text on unexpected end
+ */
+function locateJsonError( text ) {
+	const length = text.length;
+	const closing = [];
+	let pos = 0;
+	let state = "value";
+
+	while ( state ) {
+		skipWhitespace();
+
+		const ch = text[pos];
+
+		switch ( state ) {
+			case "value" :
+				if ( ch === "{" || ch === "[" ) {
+					closing.push( ch === "{" ? "}" : "]" );
+					pos++;
+					skipWhitespace();
+
+					if ( text[pos] === closing[closing.length - 1] ) {
+						closing.pop();
+						pos++;
+						state = "next";
+					} else {
+						state = ch === "{" ? "key" : "value";
+					}
+				} else {
+					state = scanScalar() ? "next" : null;
+				}
+				break;
+
+			case "key" :
+				if ( ch !== '"' || !scanString() ) {
+					state = null;
+					break;
+				}
+
+				skipWhitespace();
+
+				if ( text[pos] === ":" ) {
+					pos++;
+					state = "value";
+				} else {
+					state = null;
+				}
+				break;
+
+			case "next" :
+				if ( closing.length === 0 ) {
+					state = null;
+				} else if ( ch === "," ) {
+					pos++;
+					state = closing[closing.length - 1] === "}" ? "key" : "value";
+				} else if ( ch === closing[closing.length - 1] ) {
+					closing.pop();
+					pos++;
+				} else {
+					state = null;
+				}
+				break;
+		}
+	}
+
+	return pos;
+
+	/**
+	 * Advances position to next non-whitespace character.
+	 *
+	 * @returns {void}
+	 */
+	function skipWhitespace() {
+		while ( pos < length && " \t\n\r".indexOf( text[pos] ) > -1 ) {
+			pos++;
+		}
+	}
+
+	/**
+	 * Scans string, number or literal at current position.
+	 *
+	 * @returns {boolean} true if value is valid, false if position addresses invalid character
+	 */
+	function scanScalar() {
+		if ( text[pos] === '"' ) {
+			return scanString();
+		}
 
-						result
-							.then( () => {
-								stream.resume();
-
-								if ( finished ) {
-									resolve( target );
-								} else if ( failure ) {
-									reject( failure );
-								}
-							} )
-							.catch( reject );
-					}
-				} catch ( exception ) {
-					stream.pause();
+		const pattern = /true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+
+		pattern.lastIndex = pos;
+
+		const match = pattern.exec( text );
+
+		if ( match ) {
+			pos += match[0].length;
+		}
+
+		return Boolean( match );
+	}
+
+	/**
+	 * Scans quoted string.
+	 *
+	 * @returns {boolean} true if string is valid, false if position addresses invalid character
+	 */
+	function scanString() {
+		pos++;
+
+		while ( pos < length ) {
+			const ch = text[pos];
+
+			if ( ch === '"' ) {
+				pos++;
+				return true;
+			}
 
-					reject( exception );
+			if ( ch === "\\" ) {
+				if ( /^["\\/bfnrt]/.test( text.slice( pos + 1, pos + 2 ) ) ) {
+					pos += 2;
+				} else if ( /^u[\da-f]{4}/i.test( text.slice( pos + 1, pos + 6 ) ) ) {
+					pos += 6;
+				} else {
+					pos++;
+					return false;
 				}
+			} else if ( ch < " " ) {
+				return false;
+			} else {
+				pos++;
 			}
-		} );
+		}
+
+		return false;
+	}
+}
+
+/**
+ * Parses record of comma-separated values.
+ *
+ * @param {string} text text of record, possibly spanning multiple lines
+ * @param {string} delimiter character separating values
+ * @param {int} firstLine number of first line of record
+ * @returns {?Array<string>} values of record, null if record is incomplete due to unterminated quoted value
+ * @throws ParseError on malformed record
+ */
+function parseCsvRecord( text, delimiter, firstLine ) {
+	const values = [];
+	let value = "";
+	let quoted = false;
+	let closed = false;
+	let atStart = true;
+
+	const fail = ( message, index ) => {
+		const lines = text.slice( 0, index ).split( "\n" );
+
+		return new ParseError( message, firstLine + lines.length - 1, lines[lines.length - 1].length + 1 );
+	};
+
+	for ( let i = 0; i < text.length; i++ ) {
+		const ch = text[i];
+
+		if ( quoted ) {
+			if ( ch !== "\"" ) {
+				value += ch;
+			} else if ( text[i + 1] === "\"" ) {
+				value += ch;
+				i++;
+			} else {
+				quoted = false;
+				closed = true;
+			}
+		} else if ( ch === delimiter ) {
+			values.push( value );
+			value = "";
+			closed = false;
+			atStart = true;
+		} else if ( closed ) {
+			throw fail( "unexpected character after quoted value", i );
+		} else if ( ch === "\"" ) {
+			if ( !atStart ) {
+				throw fail( "unexpected quote in unquoted value", i );
+			}
+
+			quoted = true;
+			atStart = false;
+		} else {
+			value += ch;
+			atStart = false;
+		}
+	}
+
+	if ( quoted ) {
+		return null;
+	}
+
+	values.push( value );
+
+	return values;
+}
+
+/**
+ * Creates function to be invoked per processed item for reporting progress
+ * to provided handler.
+ *
+ * @note Reports are throttled to be delivered at given interval. The final
+ *       report is delivered in any case when total number of items is known.
+ *
+ * @param {?function(ProgressReport)} onProgress handler invoked with progress reports
+ * @param {int} total total number of items to process, undefined if unknown
+ * @param {number} interval minimum number of milliseconds between reports
+ * @returns {?function(key:(number|string))} reports another processed item, null if there is no handler
+ * @throws TypeError on invalid handler
+ */
+function createProgressReporter( onProgress, { total = undefined, interval = 0 } = {} ) {
+	if ( onProgress == null ) {
+		return null;
+	}
+
+	if ( typeof onProgress !== "function" || !( interval >= 0 ) ) {
+		throw new TypeError( "invalid progress reporting rejected" );
+	}
+
+	const started = Date.now();
+	let done = 0;
+	let reported = -Infinity;
+
+	return key => {
+		const now = Date.now();
+
+		done++;
+
+		if ( done === total || now - reported >= interval ) {
+			const elapsed = now - started;
+
+			reported = now;
+
+			onProgress( {
+				done,
+				total,
+				key,
+				elapsed,
+				eta: total === undefined ? undefined : Math.round( elapsed / done * ( total - done ) ),
+			} );
+		}
+	};
+}
+
+/**
+ * Validates mode of handling callback failures in iterating helpers.
+ *
+ * @param {string} mode "reject" for rejecting on first failure, "collect" for collecting all failures
+ * @returns {boolean} true if failures are collected
+ * @throws TypeError on invalid mode
+ */
+function normalizeErrorMode( mode ) {
+	switch ( mode ) {
+		case "reject" :
+			return false;
+
+		case "collect" :
+			return true;
+
+		default :
+			throw new TypeError( "invalid error mode rejected" );
 	}
+}
 
+/**
+ * Implements token bucket for limiting rate of actions.
+ */
+class TokenBucket {
 	/**
-	 * Wraps asynchronous function accepting node-style callback in a promise.
-	 *
-	 * @param {function} fn function to be promisified
-	 * @param {object} bindTo context for binding given function to on invocation
-	 * @returns {function():Promise} returns provided function returning Promise instead of using node-style callback
+	 * @param {number} perInterval number of tokens added per interval
+	 * @param {number} interval duration of interval in milliseconds
+	 * @param {number} burst maximum number of tokens available at once
 	 */
-	static promisify( fn, bindTo = undefined ) {
-		return function( ...args ) {
-			const length = args.length;
-			const copy = new Array( length + 1 );
+	constructor( { perInterval, interval = 1000, burst = perInterval } ) {
+		if ( !( perInterval > 0 ) || !( interval > 0 ) || !( burst >= 1 ) ) {
+			throw new TypeError( "invalid rate limit rejected" );
+		}
 
-			for ( let i = 0; i < length; i++ ) {
-				copy[i] = args[i];
+		this.rate = perInterval / interval;
+		this.burst = burst;
+		this.tokens = burst;
+		this.updated = Date.now();
+		this.waiting = [];
+		this.timer = null;
+	}
+
+	/**
+	 * Takes token from bucket waiting for it if necessary.
+	 *
+	 * @param {AbortSignal} signal signal for withdrawing request for token
+	 * @returns {Promise} promises token taken, rejected with AbortError when withdrawn
+	 */
+	take( signal = undefined ) {
+		return new Promise( ( resolve, reject ) => {
+			if ( signal && signal.aborted ) {
+				reject( new AbortError( signal.reason ) );
+				return;
 			}
 
-			return new Promise( ( resolve, reject ) => {
-				copy[length] = ( error, result ) => {
-					if ( error ) {
-						reject( error );
-					} else {
-						resolve( result );
-					}
-				};
+			const request = {
+				grant: () => {
+					detach();
+					resolve();
+				},
+			};
 
-				fn.apply( bindTo === undefined ? this : bindTo, copy );
+			const detach = listenForAbort( signal, () => {
+				this.waiting.splice( this.waiting.indexOf( request ), 1 );
+				reject( new AbortError( signal.reason ) );
 			} );
-		};
+
+			this.waiting.push( request );
+			this.dispatch();
+		} );
+	}
+
+	/**
+	 * Grants available tokens to pending requests in order of occurrence and
+	 * schedules next dispatch if requests are left pending.
+	 *
+	 * @returns {void}
+	 */
+	dispatch() {
+		const now = Date.now();
+
+		this.tokens = Math.min( this.burst, this.tokens + ( ( now - this.updated ) * this.rate ) );
+		this.updated = now;
+
+		while ( this.waiting.length > 0 && this.tokens >= 1 ) {
+			this.tokens--;
+			this.waiting.shift().grant();
+		}
+
+		if ( this.waiting.length > 0 && !this.timer ) {
+			this.timer = setTimeout( () => {
+				this.timer = null;
+				this.dispatch();
+			}, Math.ceil( ( 1 - this.tokens ) / this.rate ) );
+		}
 	}
 }
 
-module.exports = PromiseUtil;
+/**
+ * Wraps iteration callback for invoking it at a limited rate.
+ *
+ * @note Limits given as object apply to the wrapped callback, only. A function
+ *       returned by PromiseUtil.rateLimit() shares its limit instead.
+ *
+ * @param {IterationCallbackAny} fn callback to wrap
+ * @param {?(RateLimit|function)} rate limits rate of callback invocations
+ * @returns {IterationCallbackAny} provided callback or wrapper invoking it at a limited rate
+ */
+function applyRateLimit( fn, rate ) {
+	if ( !rate ) {
+		return fn;
+	}
+
+	const bucket = typeof rate === "function" ? rate[RATE_LIMITER] : new TokenBucket( rate );
+
+	if ( !bucket ) {
+		throw new TypeError( "invalid rate limit rejected" );
+	}
+
+	return ( item, key, collection, signal ) => bucket.take( signal ).then( () => fn( item, key, collection, signal ) );
+}
 
 /**
- * Prepares sequential list of keys for successively iterating over elements of
- * a given collection.
+ * Wraps iteration callback for promising settlement descriptor of its result.
  *
- * @param {object} items collection to be iterated
- * @param {boolean} createCollector set true to get an empty collector
- * @param {boolean} asArray set true to always array as collector, otherwise it's an empty collector matching provided set of items by type
- * @returns {{indexes: (?Array<string>), length:int, useGet:boolean, collector:object}} prepared iteration context and parameters
+ * @param {IterationCallbackAny} fn callback to wrap
+ * @param {boolean} settle true to wrap callback
+ * @returns {IterationCallbackAny} provided callback or wrapper never rejecting
  */
-function prepareIteration( items, { createCollector = false, asArray = false } = {} ) {
-	let indexes, length, useGet = false, collector = null;
+function applySettle( fn, settle ) {
+	if ( !settle ) {
+		return fn;
+	}
 
-	if ( items instanceof Map ) {
-		useGet = true;
+	return ( item, key, collection, signal ) => new Promise( resolve => resolve( fn( item, key, collection, signal ) ) )
+		.then( value => ( { status: "fulfilled", value } ), reason => ( { status: "rejected", reason } ) );
+}
 
-		length = items.size;
-		indexes = new Array( length );
+/**
+ * Implements cache of promised results with expiry and LRU eviction.
+ */
+class MemoCache {
+	/**
+	 * @param {number} ttl number of milliseconds a result is cached after settling
+	 * @param {number} maxSize maximum number of cached results
+	 * @param {boolean} cacheRejections true to cache rejections, too
+	 * @param {boolean} staleWhileRevalidate true to deliver expired result while refreshing it
+	 */
+	constructor( { ttl, maxSize, cacheRejections, staleWhileRevalidate } ) {
+		if ( !( ttl >= 0 ) ) {
+			throw new TypeError( "invalid TTL rejected" );
+		}
 
-		let index = 0;
-		for ( const key of items.keys() ) {
-			indexes[index++] = key;
+		if ( maxSize !== Infinity && ( !( maxSize > 0 ) || parseInt( maxSize ) !== maxSize ) ) {
+			throw new TypeError( "invalid cache size rejected" );
 		}
 
-		if ( createCollector ) {
-			collector = asArray ? new Array( length ) : new Map();
+		this.ttl = ttl;
+		this.maxSize = maxSize;
+		this.cacheRejections = Boolean( cacheRejections );
+		this.staleWhileRevalidate = Boolean( staleWhileRevalidate );
+		this.entries = new Map();
+	}
+
+	/**
+	 * Fetches promise for result cached by given key or for result of
+	 * provided loader.
+	 *
+	 * @param {*} key key of result in cache
+	 * @param {function():(Promise|*)} load loads result on cache miss
+	 * @returns {Promise} promises cached or loaded result
+	 */
+	fetch( key, load ) {
+		const entry = this.entries.get( key );
+
+		if ( entry ) {
+			// mark as most recently used
+			this.entries.delete( key );
+			this.entries.set( key, entry );
+
+			if ( entry.expires > Date.now() ) {
+				return entry.promise;
+			}
+
+			if ( this.staleWhileRevalidate ) {
+				if ( !entry.refreshing ) {
+					entry.refreshing = true;
+					this.load( key, load, entry );
+				}
+
+				return entry.promise;
+			}
+
+			this.entries.delete( key );
 		}
-	} else if ( Array.isArray( items ) || ( items.length > -1 && parseInt( items.length ) === parseFloat( items.length ) ) ) {
-		// prepare for iterating over indexes of array or array-like collection
-		length = items.length;
-		indexes = null;
 
-		if ( createCollector ) {
-			collector = new Array( length );
+		return this.load( key, load, null );
+	}
+
+	/**
+	 * Loads result and caches it on settling.
+	 *
+	 * @param {*} key key of result in cache
+	 * @param {function():(Promise|*)} load loads result
+	 * @param {?object} stale expired entry to be replaced on success, null to cache result instantly
+	 * @returns {Promise} promises loaded result
+	 */
+	load( key, load, stale ) {
+		const entry = {
+			promise: new Promise( resolve => resolve( load() ) ),
+			expires: Infinity,
+			refreshing: false,
+		};
+
+		if ( !stale ) {
+			this.store( key, entry );
 		}
-	} else if ( typeof items === "object" ) {
-		// prepare for iterating over properties of object
-		indexes = Object.keys( items );
-		length = indexes.length;
 
-		if ( createCollector ) {
-			collector = asArray ? new Array( length ) : {};
+		entry.promise
+			.then( () => {
+				entry.expires = Date.now() + this.ttl;
+
+				if ( stale && this.entries.get( key ) === stale ) {
+					this.store( key, entry );
+				}
+			} )
+			.catch( () => {
+				if ( stale ) {
+					stale.refreshing = false;
+				} else if ( this.cacheRejections ) {
+					entry.expires = Date.now() + this.ttl;
+				} else if ( this.entries.get( key ) === entry ) {
+					this.entries.delete( key );
+				}
+			} );
+
+		return entry.promise;
+	}
+
+	/**
+	 * Puts entry into cache evicting least recently used entries on exceeding
+	 * maximum size of cache.
+	 *
+	 * @param {*} key key of entry
+	 * @param {object} entry entry to store
+	 * @returns {void}
+	 */
+	store( key, entry ) {
+		this.entries.delete( key );
+		this.entries.set( key, entry );
+
+		while ( this.entries.size > this.maxSize ) {
+			this.entries.delete( this.entries.keys().next().value );
+		}
+	}
+}
+
+/**
+ * Implements state machine of a circuit breaker.
+ */
+class CircuitBreaker extends EventEmitter {
+	/**
+	 * @param {int} failureThreshold number of consecutive failures opening the circuit
+	 * @param {number} resetTimeout number of milliseconds to keep circuit open before probing
+	 * @param {int} halfOpenMax number of simultaneous probing invocations while circuit is half-open
+	 * @param {function(error:*):boolean} isFailure decides whether some error is counted as failure
+	 */
+	constructor( { failureThreshold, resetTimeout, halfOpenMax, isFailure } ) {
+		super();
+
+		if ( !( failureThreshold >= 1 ) || parseInt( failureThreshold ) !== failureThreshold ) {
+			throw new TypeError( "invalid failure threshold rejected" );
+		}
+
+		if ( !( resetTimeout >= 0 ) ) {
+			throw new TypeError( "invalid reset timeout rejected" );
+		}
+
+		this.failureThreshold = failureThreshold;
+		this.resetTimeout = resetTimeout;
+		this.halfOpenMax = normalizeConcurrency( halfOpenMax );
+		this.isFailure = isFailure;
+
+		this._state = "closed";
+		this.consecutiveFailures = 0;
+		this.openedAt = 0;
+		this.probing = 0;
+		this.stats = { calls: 0, successes: 0, failures: 0, rejections: 0 };
+	}
+
+	/**
+	 * Fetches current state of circuit breaker.
+	 *
+	 * @returns {string} one out of "closed", "open" or "half-open"
+	 */
+	get state() {
+		if ( this._state === "open" && Date.now() - this.openedAt >= this.resetTimeout ) {
+			this.transition( "half-open" );
+		}
+
+		return this._state;
+	}
+
+	/**
+	 * Invokes provided function unless circuit is open.
+	 *
+	 * @param {function():(Promise|*)} fn function to invoke
+	 * @returns {Promise} promises result of provided function, rejected with CircuitOpenError while circuit is open
+	 */
+	call( fn ) {
+		const state = this.state;
+
+		this.stats.calls++;
+
+		if ( state === "open" || ( state === "half-open" && this.probing >= this.halfOpenMax ) ) {
+			this.stats.rejections++;
+
+			return Promise.reject( new CircuitOpenError( Math.max( 0, this.openedAt + this.resetTimeout - Date.now() ) ) );
+		}
+
+		const probe = state === "half-open";
+		if ( probe ) {
+			this.probing++;
+		}
+
+		return new Promise( resolve => resolve( fn() ) )
+			.then( result => {
+				this.stats.successes++;
+				this.succeed( probe );
+
+				return result;
+			}, error => {
+				if ( this.isFailure( error ) ) {
+					this.stats.failures++;
+					this.fail( probe );
+				} else {
+					this.succeed( probe );
+				}
+
+				throw error;
+			} );
+	}
+
+	/**
+	 * Accounts for invocation succeeding or failing with an error not counted
+	 * as failure.
+	 *
+	 * @param {boolean} probe true if invocation was probing half-open circuit
+	 * @returns {void}
+	 */
+	succeed( probe ) {
+		this.consecutiveFailures = 0;
+
+		if ( probe ) {
+			this.probing--;
+
+			if ( this._state === "half-open" ) {
+				this.transition( "closed" );
+			}
+		}
+	}
+
+	/**
+	 * Accounts for failing invocation.
+	 *
+	 * @param {boolean} probe true if invocation was probing half-open circuit
+	 * @returns {void}
+	 */
+	fail( probe ) {
+		this.consecutiveFailures++;
+
+		if ( probe ) {
+			this.probing--;
+
+			if ( this._state === "half-open" ) {
+				this.transition( "open" );
+			}
+		} else if ( this._state === "closed" && this.consecutiveFailures >= this.failureThreshold ) {
+			this.transition( "open" );
 		}
-	} else {
-		throw new TypeError( "non-iterable collection rejected" );
 	}
 
-	return { indexes, length, useGet, collector };
+	/**
+	 * Switches state of circuit breaker emitting events on change.
+	 *
+	 * @param {string} state one out of "closed", "open" or "half-open"
+	 * @returns {void}
+	 */
+	transition( state ) {
+		const previous = this._state;
+
+		if ( state === "open" ) {
+			this.openedAt = Date.now();
+		}
+
+		if ( state === "closed" ) {
+			this.consecutiveFailures = 0;
+		}
+
+		if ( state !== previous ) {
+			this._state = state;
+
+			this.emit( state, previous );
+			this.emit( "stateChange", state, previous );
+		}
+	}
+}
+
+/**
+ * Derives cache key from arguments of memoized function's invocation.
+ *
+ * @param {*} args arguments of invocation
+ * @returns {*} key of invocation's result in cache
+ */
+function defaultMemoizeKey( ...args ) {
+	return args.length < 2 ? args[0] : JSON.stringify( args );
 }
 
 /**
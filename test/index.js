@@ -119,6 +119,283 @@ describe( "PromiseUtil", function() {
 					output.join( "," ).should.equal( "one,two,three" );
 				} );
 		} );
+
+		it( "limits number of simultaneously running callbacks on concurrent iteration", function() {
+			const items = [ 5, 30, 10, 20, 5, 15, 25, 10 ];
+			let running = 0, maxRunning = 0;
+
+			return PromiseUtil
+				.each( items, delay => {
+					maxRunning = Math.max( maxRunning, ++running );
+
+					return new Promise( resolve => setTimeout( resolve, delay ) )
+						.then( () => running-- );
+				}, { concurrency: 3 } )
+				.then( result => {
+					result.should.be.equal( items );
+					maxRunning.should.be.equal( 3 );
+					running.should.be.equal( 0 );
+				} );
+		} );
+
+		it( "stops early in order of items on concurrent iteration", function() {
+			const items = [ 30, 10, 40, 5 ];
+			const invoked = [];
+
+			return PromiseUtil
+				.each( items, ( delay, index ) => {
+					invoked.push( index );
+
+					return new Promise( resolve => setTimeout( resolve, delay, index > 0 ) );
+				}, { concurrency: 2, stopOnReturn: true } )
+				.then( result => {
+					result.should.be.true();
+					invoked.should.not.containEql( 3 );
+				} );
+		} );
+
+		it( "rejects invalid concurrency", function() {
+			( () => PromiseUtil.each( sortedList, () => true, { concurrency: 0 } ) ).should.throw( TypeError );
+			( () => PromiseUtil.each( sortedList, () => true, { concurrency: 1.5 } ) ).should.throw( TypeError );
+			( () => PromiseUtil.each( sortedList, () => true, { concurrency: "many" } ) ).should.throw( TypeError );
+		} );
+
+		it( "rejects with AbortError and stops invoking callback on aborting signal", function() {
+			const controller = new AbortController();
+			const invoked = [];
+
+			return PromiseUtil
+				.each( [ 10, 10, 10, 10, 10, 10 ], ( delay, index, items, signal ) => {
+					signal.should.be.equal( controller.signal );
+					invoked.push( index );
+
+					if ( index === 2 ) {
+						setTimeout( () => controller.abort( "client gone" ), 5 );
+					}
+
+					return PromiseUtil.delay( delay );
+				}, { signal: controller.signal } )
+				.should.be.rejectedWith( PromiseUtil.AbortError, { reason: "client gone" } )
+				.then( () => PromiseUtil.delay( 30 ) )
+				.then( () => {
+					invoked.should.be.eql( [ 0, 1, 2 ] );
+				} );
+		} );
+
+		it( "rejects without invoking callback on already aborted signal", function() {
+			const controller = new AbortController();
+			let invoked = false;
+
+			controller.abort();
+
+			return PromiseUtil
+				.each( sortedList, () => { invoked = true; }, { signal: controller.signal } )
+				.should.be.rejectedWith( PromiseUtil.AbortError )
+				.then( () => {
+					invoked.should.be.false();
+				} );
+		} );
+
+		it( "supports sequential, probably delayed iteration over Set", function() {
+			const output = [];
+			const set = new Set( [ "one", "two", "three" ] );
+
+			return PromiseUtil
+				.each( set, ( value, index, items ) => {
+					index.should.be.Number().which.is.within( 0, 2 );
+					items.should.be.equal( set );
+
+					return PromiseUtil.delay( 5 ).then( () => output.push( value ) );
+				} )
+				.then( result => {
+					result.should.be.equal( set );
+					output.join( "," ).should.equal( "one,two,three" );
+				} );
+		} );
+
+		it( "fetches items from generator on demand, only", function() {
+			const log = [];
+
+			/**
+			 * Generates items logging either fetch.
+			 *
+			 * @returns {Generator<number>} generated items
+			 */
+			function* generate() {
+				for ( let i = 0; i < 4; i++ ) {
+					log.push( `fetch ${i}` );
+					yield i;
+				}
+			}
+
+			return PromiseUtil
+				.each( generate(), value => {
+					log.push( `process ${value}` );
+				} )
+				.then( () => {
+					log.should.be.eql( [ "fetch 0", "process 0", "fetch 1", "process 1", "fetch 2", "process 2", "fetch 3", "process 3" ] );
+				} );
+		} );
+
+		it( "supports concurrent iteration over async generator", function() {
+			let running = 0, maxRunning = 0;
+			const processed = [];
+
+			return PromiseUtil
+				.each( _getAsyncIterable( [ 0, 1, 2, 3, 4, 5 ] ), value => {
+					maxRunning = Math.max( maxRunning, ++running );
+
+					return PromiseUtil.delay( 20 ).then( () => {
+						running--;
+						processed.push( value );
+					} );
+				}, { concurrency: 3 } )
+				.then( () => {
+					maxRunning.should.be.equal( 3 );
+					processed.should.have.length( 6 );
+				} );
+		} );
+
+		it( "closes generator on stopping iteration early", function() {
+			let closed = false;
+
+			/**
+			 * Generates infinite number of items.
+			 *
+			 * @returns {Generator<number>} generated items
+			 */
+			function* generate() {
+				try {
+					for ( let i = 0; ; i++ ) {
+						yield i;
+					}
+				} finally {
+					closed = true;
+				}
+			}
+
+			return PromiseUtil
+				.each( generate(), value => value > 3, { stopOnReturn: true } )
+				.then( result => {
+					result.should.be.true();
+					closed.should.be.true();
+				} );
+		} );
+
+		it( "rejects with IterationError describing item callback failed on", function() {
+			const cause = new Error( "failed" );
+
+			return PromiseUtil.each( { a: 1, b: 2, c: 3 }, value => {
+				if ( value === 2 ) {
+					throw cause;
+				}
+			} )
+				.should.be.rejectedWith( PromiseUtil.IterationError )
+				.then( error => {
+					error.message.should.be.equal( "failed" );
+					error.cause.should.be.equal( cause );
+					error.key.should.be.equal( "b" );
+					error.index.should.be.equal( 1 );
+					error.item.should.be.equal( 2 );
+				} );
+		} );
+
+		it( "continues iteration on callback failing and eventually rejects with AggregateError on demand", function() {
+			const visited = [];
+
+			return PromiseUtil.each( [ 1, 2, 3, 4 ], value => {
+				visited.push( value );
+
+				if ( value % 2 === 0 ) {
+					return PromiseUtil.delay( 5 - value ).then( () => { throw new Error( `failed ${value}` ); } );
+				}
+
+				return undefined;
+			}, { errors: "collect", concurrency: 4 } )
+				.should.be.rejectedWith( AggregateError )
+				.then( error => {
+					visited.should.be.eql( [ 1, 2, 3, 4 ] );
+
+					error.errors.should.have.length( 2 );
+					error.errors[0].should.be.instanceOf( PromiseUtil.IterationError );
+					error.errors.map( e => e.item ).should.be.eql( [ 2, 4 ] );
+					error.errors.map( e => e.message ).should.be.eql( [ "failed 2", "failed 4" ] );
+				} );
+		} );
+
+		it( "resolves as usual when collecting errors without any callback failing", function() {
+			const items = [ 1, 2 ];
+
+			return PromiseUtil.each( items, () => true, { errors: "collect" } ).should.be.resolvedWith( items );
+		} );
+
+		it( "rejects invalid mode of handling errors", function() {
+			( () => PromiseUtil.each( [], () => true, { errors: "ignore" } ) ).should.throw( TypeError );
+		} );
+
+		it( "reports progress after every processed item on demand", function() {
+			const reports = [];
+
+			return PromiseUtil.each( { a: 1, b: 2, c: 3 }, value => PromiseUtil.delay( value ), { onProgress: report => reports.push( report ) } )
+				.then( () => {
+					reports.map( ( { done, total, key } ) => ( { done, total, key } ) ).should.be.eql( [
+						{ done: 1, total: 3, key: "a" },
+						{ done: 2, total: 3, key: "b" },
+						{ done: 3, total: 3, key: "c" },
+					] );
+
+					reports.forEach( report => {
+						report.elapsed.should.be.Number().which.is.aboveOrEqual( 0 );
+						report.eta.should.be.Number().which.is.aboveOrEqual( 0 );
+					} );
+
+					reports[2].eta.should.be.equal( 0 );
+				} );
+		} );
+
+		it( "throttles progress reports but always delivers final report", function() {
+			const reports = [];
+
+			return PromiseUtil.each( [ 1, 2, 3, 4, 5 ], () => PromiseUtil.delay( 5 ), {
+				onProgress: report => reports.push( report.done ),
+				progressInterval: 1000,
+			} )
+				.then( () => {
+					reports.should.be.eql( [ 1, 5 ] );
+				} );
+		} );
+
+		it( "reports progress with total number of items on iterating over a Set", function() {
+			const reports = [];
+
+			return PromiseUtil.each( new Set( [ "a", "b", "c" ] ), () => true, { onProgress: report => reports.push( report ) } )
+				.then( () => {
+					reports.map( ( { done, total } ) => ( { done, total } ) ).should.be.eql( [
+						{ done: 1, total: 3 },
+						{ done: 2, total: 3 },
+						{ done: 3, total: 3 },
+					] );
+
+					reports[2].eta.should.be.equal( 0 );
+				} );
+		} );
+
+		it( "reports progress with unknown total on lazily iterated collections", function() {
+			const reports = [];
+
+			return PromiseUtil.each( _getAsyncIterable( [ "a", "b" ] ), () => true, { onProgress: report => reports.push( report ) } )
+				.then( () => {
+					reports.map( report => report.done ).should.be.eql( [ 1, 2 ] );
+					reports.forEach( report => {
+						( report.total === undefined ).should.be.true();
+						( report.eta === undefined ).should.be.true();
+					} );
+				} );
+		} );
+
+		it( "rejects invalid progress handler", function() {
+			( () => PromiseUtil.each( [], () => true, { onProgress: "handler" } ) ).should.throw( TypeError );
+		} );
 	} );
 
 	describe( ".some()", () => {
@@ -206,6 +483,63 @@ describe( "PromiseUtil", function() {
 					result.should.be.true();
 				} );
 		} );
+
+		it( "detects satisfying item on concurrent iteration", function() {
+			return Promise.all( [
+				PromiseUtil.some( [ 30, 10, 20, 5 ], delay => PromiseUtil.delay( delay, delay === 20 ), { concurrency: 2 } ),
+				PromiseUtil.some( [ 30, 10, 20, 5 ], delay => PromiseUtil.delay( delay, delay > 30 ), { concurrency: 2 } ),
+			] )
+				.should.be.fulfilledWith( [ true, false ] );
+		} );
+
+		it( "detects if at least one item of async generator satisfies provided callback", function() {
+			return Promise.all( [
+				PromiseUtil.some( _getAsyncIterable( [ 1, 2, 3 ] ), value => value === 2 ),
+				PromiseUtil.some( _getAsyncIterable( [ 1, 2, 3 ] ), value => value === 4 ),
+			] )
+				.should.be.fulfilledWith( [ true, false ] );
+		} );
+
+		it( "resolves on first satisfying item processed simultaneously without waiting for preceding items", function() {
+			const delays = [ 200, 10, 200, 200, 200 ];
+			const invoked = [];
+			const start = Date.now();
+
+			return PromiseUtil.some( delays, ( delay, index ) => {
+				invoked.push( index );
+				return PromiseUtil.delay( delay, delay === 10 );
+			}, { concurrency: 3 } )
+				.then( result => {
+					result.should.be.true();
+					( Date.now() - start ).should.be.below( 150 );
+					invoked.should.be.deepEqual( [ 0, 1, 2 ] );
+				} );
+		} );
+
+		it( "resolves false after processing all items simultaneously without any satisfying item", function() {
+			const invoked = [];
+
+			return PromiseUtil.some( [ 30, 10, 20, 5 ], ( delay, index ) => {
+				invoked.push( index );
+				return PromiseUtil.delay( delay, false );
+			}, { concurrency: 2 } )
+				.then( result => {
+					result.should.be.false();
+					invoked.should.be.deepEqual( [ 0, 1, 2, 3 ] );
+				} );
+		} );
+
+		it( "ignores failures on items still processed after deciding", function() {
+			return PromiseUtil.some( [ 50, 10 ], delay => PromiseUtil.delay( delay ).then( () => {
+				if ( delay === 50 ) {
+					throw new Error( "late failure" );
+				}
+
+				return true;
+			} ), { concurrency: 2 } )
+				.should.be.fulfilledWith( true )
+				.then( () => PromiseUtil.delay( 60 ) );
+		} );
 	} );
 
 	describe( ".every()", () => {
@@ -292,6 +626,43 @@ describe( "PromiseUtil", function() {
 					result.should.be.false();
 				} );
 		} );
+
+		it( "detects unsatisfying item on concurrent iteration", function() {
+			return Promise.all( [
+				PromiseUtil.every( [ 30, 10, 20, 5 ], delay => PromiseUtil.delay( delay, delay !== 20 ), { concurrency: 2 } ),
+				PromiseUtil.every( [ 30, 10, 20, 5 ], delay => PromiseUtil.delay( delay, delay > 1 ), { concurrency: 2 } ),
+			] )
+				.should.be.fulfilledWith( [ false, true ] );
+		} );
+
+		it( "resolves on first unsatisfying item processed simultaneously without waiting for preceding items", function() {
+			const delays = [ 200, 10, 200, 200, 200 ];
+			const invoked = [];
+			const start = Date.now();
+
+			return PromiseUtil.every( delays, ( delay, index ) => {
+				invoked.push( index );
+				return PromiseUtil.delay( delay, delay !== 10 );
+			}, { concurrency: 3 } )
+				.then( result => {
+					result.should.be.false();
+					( Date.now() - start ).should.be.below( 150 );
+					invoked.should.be.deepEqual( [ 0, 1, 2 ] );
+				} );
+		} );
+
+		it( "resolves true after processing all items simultaneously satisfying callback", function() {
+			const invoked = [];
+
+			return PromiseUtil.every( [ 30, 10, 20, 5 ], ( delay, index ) => {
+				invoked.push( index );
+				return PromiseUtil.delay( delay, true );
+			}, { concurrency: 2 } )
+				.then( result => {
+					result.should.be.true();
+					invoked.should.be.deepEqual( [ 0, 1, 2, 3 ] );
+				} );
+		} );
 	} );
 
 	describe( ".filter()", () => {
@@ -416,6 +787,66 @@ describe( "PromiseUtil", function() {
 					return result.get( "second" ).should.be.resolvedWith( "two" );
 				} );
 		} );
+
+		it( "keeps order of items on concurrent filtering of array into array", function() {
+			return PromiseUtil
+				.filter( [ 30, 10, 25, 5, 20, 15 ], delay => PromiseUtil.delay( delay, delay % 10 === 0 ), { concurrency: 3 } )
+				.then( result => {
+					result.should.be.Array().which.is.eql( [ 30, 10, 20 ] );
+				} );
+		} );
+
+		it( "keeps order of items on concurrent filtering of Map into Map", function() {
+			const source = new Map( [ [ "a", 30 ], [ "b", 10 ], [ "c", 25 ], [ "d", 20 ] ] );
+
+			return PromiseUtil
+				.filter( source, delay => PromiseUtil.delay( delay, delay % 10 === 0 ), { concurrency: 4, asArray: false } )
+				.then( result => {
+					result.should.be.instanceOf( Map );
+					Array.from( result.keys() ).should.be.eql( [ "a", "b", "d" ] );
+				} );
+		} );
+
+		it( "supports sequential, probably delayed filtering of Set into Set", function() {
+			return PromiseUtil
+				.filter( new Set( [ 1, 2, 3, 4 ] ), value => PromiseUtil.delay( 5, value % 2 === 0 ), { asArray: false } )
+				.then( result => {
+					result.should.be.instanceOf( Set );
+					Array.from( result ).should.be.eql( [ 2, 4 ] );
+				} );
+		} );
+
+		it( "supports sequential, probably delayed filtering of generator into array", function() {
+			return PromiseUtil
+				.filter( new Set( [ 1, 2, 3, 4 ] ).values(), value => PromiseUtil.delay( 5, value % 2 === 1 ) )
+				.should.be.fulfilledWith( [ 1, 3 ] );
+		} );
+
+		it( "collects settlement descriptors of kept items and of items callback failed on instead of rejecting on demand", function() {
+			return PromiseUtil.filter( [ 1, 2, 3, 4 ], value => {
+				if ( value === 3 ) {
+					throw new Error( "failed" );
+				}
+
+				return value % 2 === 0;
+			}, { settle: true } )
+				.then( results => {
+					results.should.have.length( 3 );
+					results[0].should.be.eql( { status: "fulfilled", value: 2 } );
+					results[1].status.should.be.equal( "rejected" );
+					results[1].reason.message.should.be.equal( "failed" );
+					results[2].should.be.eql( { status: "fulfilled", value: 4 } );
+				} );
+		} );
+
+		it( "reports progress after every processed item on demand", function() {
+			const reports = [];
+
+			return PromiseUtil.filter( [ 1, 2, 3 ], value => value > 1, { onProgress: report => reports.push( report.done ), concurrency: 3 } )
+				.then( () => {
+					reports.should.be.eql( [ 1, 2, 3 ] );
+				} );
+		} );
 	} );
 
 	describe( ".map()", () => {
@@ -536,6 +967,134 @@ describe( "PromiseUtil", function() {
 					result.get( "third" ).should.be.equal( "three" );
 				} );
 		} );
+
+		it( "keeps order of mapped items on concurrent mapping of array into array", function() {
+			let running = 0, maxRunning = 0;
+
+			return PromiseUtil
+				.map( [ 30, 10, 25, 5, 20, 15 ], delay => {
+					maxRunning = Math.max( maxRunning, ++running );
+
+					return PromiseUtil.delay( delay, delay * 2 )
+						.then( value => {
+							running--;
+							return value;
+						} );
+				}, { concurrency: 2 } )
+				.then( result => {
+					result.should.be.eql( [ 60, 20, 50, 10, 40, 30 ] );
+					maxRunning.should.be.equal( 2 );
+				} );
+		} );
+
+		it( "keeps keys of mapped items on concurrent mapping of object into object", function() {
+			return PromiseUtil
+				.map( { a: 30, b: 10, c: 20 }, delay => PromiseUtil.delay( delay, delay / 10 ), { concurrency: 3, asArray: false } )
+				.then( result => {
+					result.should.be.eql( { a: 3, b: 1, c: 2 } );
+					Object.keys( result ).should.be.eql( [ "a", "b", "c" ] );
+				} );
+		} );
+
+		it( "rejects with AbortError on aborting signal while mapping concurrently", function() {
+			const controller = new AbortController();
+			let invoked = 0;
+
+			return PromiseUtil
+				.map( [ 10, 10, 10, 10, 10, 10 ], delay => {
+					if ( ++invoked === 4 ) {
+						setTimeout( () => controller.abort(), 5 );
+					}
+
+					return PromiseUtil.delay( delay, delay );
+				}, { concurrency: 2, signal: controller.signal } )
+				.should.be.rejectedWith( PromiseUtil.AbortError )
+				.then( () => PromiseUtil.delay( 30 ) )
+				.then( () => {
+					invoked.should.be.equal( 4 );
+				} );
+		} );
+
+		it( "supports sequential, probably delayed mapping of Set into array", function() {
+			return PromiseUtil
+				.map( new Set( [ "one", "two" ] ), ( value, index ) => PromiseUtil.delay( 5, `${index}:${value}` ) )
+				.should.be.fulfilledWith( [ "0:one", "1:two" ] );
+		} );
+
+		it( "supports sequential, probably delayed mapping of Set into Set", function() {
+			return PromiseUtil
+				.map( new Set( [ "one", "two" ] ), value => value.toUpperCase(), { asArray: false } )
+				.then( result => {
+					result.should.be.instanceOf( Set );
+					Array.from( result ).should.be.eql( [ "ONE", "TWO" ] );
+				} );
+		} );
+
+		it( "supports concurrent mapping of async iterable into array", function() {
+			return PromiseUtil
+				.map( _getAsyncIterable( [ 0, 1, 2, 3, 4 ] ), value => PromiseUtil.delay( 25 - ( value * 5 ), value * 10 ), { concurrency: 2 } )
+				.should.be.fulfilledWith( [ 0, 10, 20, 30, 40 ] );
+		} );
+
+		it( "collects settlement descriptors per item instead of rejecting on demand", function() {
+			return PromiseUtil.map( [ 1, 2, 3 ], value => {
+				if ( value === 2 ) {
+					throw new Error( "failed" );
+				}
+
+				return PromiseUtil.delay( 2, value * 10 );
+			}, { settle: true, concurrency: 2 } )
+				.then( results => {
+					results.should.have.length( 3 );
+					results[0].should.be.eql( { status: "fulfilled", value: 10 } );
+					results[1].status.should.be.equal( "rejected" );
+					results[1].reason.message.should.be.equal( "failed" );
+					results[2].should.be.eql( { status: "fulfilled", value: 30 } );
+				} );
+		} );
+
+		it( "collects settlement descriptors in collection matching provided one by type on demand", function() {
+			const fn = ( value, key ) => ( key === "b" ? Promise.reject( new Error( "failed" ) ) : value );
+
+			return Promise.all( [
+				PromiseUtil.map( { a: 1, b: 2 }, fn, { settle: true, asArray: false } ),
+				PromiseUtil.map( new Map( [ [ "a", 1 ], [ "b", 2 ] ] ), fn, { settle: true, asArray: false } ),
+			] )
+				.then( ( [ fromObject, fromMap ] ) => {
+					fromObject.a.should.be.eql( { status: "fulfilled", value: 1 } );
+					fromObject.b.status.should.be.equal( "rejected" );
+
+					fromMap.should.be.instanceOf( Map );
+					fromMap.get( "a" ).should.be.eql( { status: "fulfilled", value: 1 } );
+					fromMap.get( "b" ).reason.message.should.be.equal( "failed" );
+				} );
+		} );
+
+		it( "collects failures with keys of Map on demand", function() {
+			const source = new Map( [ [ "a", 1 ], [ "b", 2 ], [ "c", 3 ] ] );
+
+			return PromiseUtil.map( source, value => {
+				if ( value > 1 ) {
+					throw new Error( "failed" );
+				}
+
+				return value;
+			}, { errors: "collect", asArray: false } )
+				.should.be.rejectedWith( AggregateError )
+				.then( error => {
+					error.errors.map( e => e.key ).should.be.eql( [ "b", "c" ] );
+					error.errors.map( e => e.index ).should.be.eql( [ 1, 2 ] );
+				} );
+		} );
+
+		it( "reports progress after every processed item on demand", function() {
+			const keys = [];
+
+			return PromiseUtil.map( new Map( [ [ "x", 1 ], [ "y", 2 ] ] ), value => value * 2, { onProgress: report => keys.push( report.key ) } )
+				.then( () => {
+					keys.should.be.eql( [ "x", "y" ] );
+				} );
+		} );
 	} );
 
 	describe( ".multiMap()", () => {
@@ -811,24 +1370,314 @@ describe( "PromiseUtil", function() {
 				return new Promise( resolve => setTimeout( resolve, 40 ) );
 			}
 		} );
-	} );
 
-	describe( ".find()", () => {
-		it( "supports sequential, probably delayed search for value in array", function() {
-			let sum = 0;
+		it( "supports limiting number of simultaneously running callbacks", function() {
+			let running = 0, maxRunning = 0;
 
 			return PromiseUtil
-				.find( sortedList, ( value, index, items ) => {
-					Should( index ).be.within( 0, 6 );
-					items.should.be.Array();
-					items.should.have.length( 7 );
+				.multiMap( [ 30, 10, 25, 5, 20, 15 ], delay => {
+					maxRunning = Math.max( maxRunning, ++running );
+
+					return PromiseUtil.delay( delay, delay * 2 )
+						.then( value => {
+							running--;
+							return value;
+						} );
+				}, { concurrency: 4 } )
+				.then( result => {
+					result.should.be.eql( [ 60, 20, 50, 10, 40, 30 ] );
+					maxRunning.should.be.equal( 4 );
+				} );
+		} );
 
-					sum += index;
+		it( "collects settlement descriptors per item instead of rejecting on demand", function() {
+			return PromiseUtil.multiMap( [ 1, 2 ], value => ( value === 1 ? Promise.reject( new Error( "failed" ) ) : value ), { settle: true } )
+				.then( results => {
+					results[0].status.should.be.equal( "rejected" );
+					results[1].should.be.eql( { status: "fulfilled", value: 2 } );
+				} );
+		} );
 
-					if ( index % 2 === 0 ) {
-						// return instantly
-						return value === "%";
-					}
+		it( "collects failures on demand", function() {
+			return PromiseUtil.multiMap( [ 1, 2, 3 ], value => ( value === 2 ? value : Promise.reject( new Error( `failed ${value}` ) ) ), { errors: "collect" } )
+				.should.be.rejectedWith( AggregateError )
+				.then( error => {
+					error.errors.map( e => e.message ).should.be.eql( [ "failed 1", "failed 3" ] );
+				} );
+		} );
+
+		it( "reports progress after every processed item on demand", function() {
+			const reports = [];
+
+			return PromiseUtil.multiMap( [ 3, 1, 2 ], value => PromiseUtil.delay( value ), { onProgress: report => reports.push( report.done ) } )
+				.then( () => {
+					reports.should.be.eql( [ 1, 2, 3 ] );
+				} );
+		} );
+	} );
+
+	describe( ".mapSettled()", () => {
+		it( "never rejects on callback failing", function() {
+			return PromiseUtil.mapSettled( [ 1, 2 ], value => {
+				throw new Error( `failed ${value}` );
+			}, { concurrency: 2 } )
+				.then( results => {
+					results.map( result => result.status ).should.be.eql( [ "rejected", "rejected" ] );
+					results.map( result => result.reason.message ).should.be.eql( [ "failed 1", "failed 2" ] );
+				} );
+		} );
+
+		it( "still rejects on aborting signal", function() {
+			const controller = new AbortController();
+
+			return PromiseUtil.mapSettled( [ 1, 2, 3 ], value => {
+				if ( value === 2 ) {
+					controller.abort();
+				}
+
+				return value;
+			}, { signal: controller.signal } )
+				.should.be.rejectedWith( PromiseUtil.AbortError );
+		} );
+	} );
+
+	describe( ".props()", () => {
+		it( "resolves promises in properties of object", function() {
+			return PromiseUtil.props( {
+				a: Promise.resolve( 1 ),
+				b: PromiseUtil.delay( 10, 2 ),
+				c: 3,
+			} )
+				.should.be.fulfilledWith( { a: 1, b: 2, c: 3 } );
+		} );
+
+		it( "resolves promises in entries of Map", function() {
+			const key = {};
+
+			return PromiseUtil.props( new Map( [ [ "a", Promise.resolve( 1 ) ], [ key, PromiseUtil.delay( 10, 2 ) ] ] ) )
+				.then( result => {
+					result.should.be.instanceOf( Map );
+					Array.from( result.entries() ).should.be.deepEqual( [ [ "a", 1 ], [ key, 2 ] ] );
+				} );
+		} );
+
+		it( "keeps order of properties", function() {
+			return PromiseUtil.props( { b: PromiseUtil.delay( 20, 2 ), a: Promise.resolve( 1 ) } )
+				.then( result => Object.keys( result ).should.be.deepEqual( [ "b", "a" ] ) );
+		} );
+
+		it( "does not adjust provided object", function() {
+			const promise = Promise.resolve( 1 );
+			const source = { promise };
+
+			return PromiseUtil.props( source )
+				.then( result => {
+					result.should.not.be.equal( source );
+					source.promise.should.be.equal( promise );
+				} );
+		} );
+
+		it( "rejects on first promise rejecting", function() {
+			return PromiseUtil.props( {
+				a: PromiseUtil.delay( 50, 1 ),
+				b: Promise.reject( new Error( "failed" ) ),
+			} )
+				.should.be.rejectedWith( "failed" );
+		} );
+
+		it( "keeps nested containers as-is by default", function() {
+			const nested = { promise: Promise.resolve( 1 ) };
+
+			return PromiseUtil.props( { nested } )
+				.then( result => result.nested.should.be.equal( nested ) );
+		} );
+
+		it( "resolves promises at every level in deep mode", function() {
+			return PromiseUtil.props( {
+				list: [ Promise.resolve( 1 ), { value: PromiseUtil.delay( 10, 2 ) } ],
+				map: new Map( [[ "a", Promise.resolve( [Promise.resolve( 3 )] ) ]] ),
+				promised: Promise.resolve( { inner: Promise.resolve( 4 ) } ),
+				plain: Object.assign( Object.create( null ), { value: Promise.resolve( 5 ) } ),
+			}, { deep: true } )
+				.then( result => {
+					result.list.should.be.deepEqual( [ 1, { value: 2 } ] );
+					result.map.get( "a" ).should.be.deepEqual( [3] );
+					result.promised.should.be.deepEqual( { inner: 4 } );
+					result.plain.value.should.be.equal( 5 );
+				} );
+		} );
+
+		it( "keeps class instances untouched in deep mode", function() {
+			/**
+			 * Implements class with promise in property.
+			 */
+			class Custom {
+				/**
+				 * Creates instance exposing promise in property.
+				 */
+				constructor() {
+					this.promise = Promise.resolve( 1 );
+				}
+			}
+
+			const instance = new Custom();
+			const date = new Date();
+
+			return PromiseUtil.props( { instance, date }, { deep: true } )
+				.then( result => {
+					result.instance.should.be.equal( instance );
+					result.instance.promise.should.be.Promise();
+					result.date.should.be.equal( date );
+				} );
+		} );
+
+		it( "keeps functions as values by default", function() {
+			const handler = () => "CALLED";
+			const format = () => "CALLED";
+
+			return PromiseUtil.props( { handler, nested: { format }, value: Promise.resolve( 1 ) }, { deep: true } )
+				.then( result => {
+					result.handler.should.be.equal( handler );
+					result.nested.format.should.be.equal( format );
+					result.value.should.be.equal( 1 );
+				} );
+		} );
+
+		it( "invokes functions for fetching values on demand", function() {
+			return PromiseUtil.props( { a: () => PromiseUtil.delay( 10, 1 ), b: () => 2 }, { invoke: true } )
+				.should.be.fulfilledWith( { a: 1, b: 2 } );
+		} );
+
+		it( "invokes functions at every level in deep mode on demand", function() {
+			return PromiseUtil.props( { list: [ () => 1, { value: () => Promise.resolve( { inner: () => 2 } ) } ] }, { deep: true, invoke: true } )
+				.should.be.fulfilledWith( { list: [ 1, { value: { inner: 2 } } ] } );
+		} );
+
+		it( "limits number of functions invoked simultaneously", function() {
+			let running = 0;
+			let maxRunning = 0;
+
+			/**
+			 * Simulates lookup tracking number of simultaneously running lookups.
+			 *
+			 * @param {*} value value to promise
+			 * @returns {function():Promise} function promising value after delay
+			 */
+			function lookup( value ) {
+				return () => {
+					running++;
+					maxRunning = Math.max( maxRunning, running );
+
+					return PromiseUtil.delay( 10, value ).then( result => {
+						running--;
+						return result;
+					} );
+				};
+			}
+
+			return PromiseUtil.props( { a: lookup( 1 ), b: lookup( 2 ), c: lookup( 3 ), d: lookup( 4 ) }, { invoke: true, concurrency: 2 } )
+				.then( result => {
+					result.should.be.deepEqual( { a: 1, b: 2, c: 3, d: 4 } );
+					maxRunning.should.be.equal( 2 );
+				} );
+		} );
+
+		it( "stops invoking functions after first failure", function() {
+			const invoked = [];
+
+			return PromiseUtil.props( {
+				a: () => { invoked.push( "a" ); return Promise.reject( new Error( "failed" ) ); },
+				b: () => { invoked.push( "b" ); return 2; },
+			}, { invoke: true, concurrency: 1 } )
+				.should.be.rejectedWith( "failed" )
+				.then( () => PromiseUtil.delay( 10 ) )
+				.then( () => invoked.should.be.deepEqual( ["a"] ) );
+		} );
+
+		it( "rejects with AbortError on aborting signal", function() {
+			const controller = new AbortController();
+			const invoked = [];
+
+			setTimeout( () => controller.abort(), 10 );
+
+			return PromiseUtil.props( {
+				a: signal => { invoked.push( signal ); return PromiseUtil.delay( 50, 1 ); },
+				b: () => { invoked.push( "b" ); return 2; },
+			}, { invoke: true, concurrency: 1, signal: controller.signal } )
+				.should.be.rejectedWith( PromiseUtil.AbortError )
+				.then( () => invoked.should.be.deepEqual( [controller.signal] ) );
+		} );
+
+		it( "ignores concurrency unless invoking functions", function() {
+			const start = Date.now();
+			const handler = () => "CALLED";
+
+			return PromiseUtil.props( {
+				a: PromiseUtil.delay( 40, 1 ),
+				b: PromiseUtil.delay( 40, 2 ),
+				c: PromiseUtil.delay( 40, 3 ),
+				handler,
+			}, { concurrency: 1 } )
+				.then( result => {
+					result.should.be.deepEqual( { a: 1, b: 2, c: 3, handler } );
+					( Date.now() - start ).should.be.below( 100 );
+				} );
+		} );
+
+		it( "rejects circular structures in deep mode", function() {
+			const source = { list: [Promise.resolve( 1 )] };
+			source.list.push( source );
+
+			return PromiseUtil.props( source, { deep: true } )
+				.should.be.rejectedWith( TypeError, { message: "circular structure rejected" } );
+		} );
+
+		it( "rejects circular structures established via promises in deep mode", function() {
+			const nested = { value: 1 };
+			nested.self = Promise.resolve( nested );
+
+			return PromiseUtil.props( { nested }, { deep: true } )
+				.should.be.rejectedWith( TypeError );
+		} );
+
+		it( "resolves structures shared by multiple properties in deep mode", function() {
+			const shared = { value: Promise.resolve( 1 ) };
+
+			return PromiseUtil.props( { a: shared, b: [ shared, shared ] }, { deep: true } )
+				.should.be.fulfilledWith( { a: { value: 1 }, b: [ { value: 1 }, { value: 1 } ] } );
+		} );
+
+		it( "keeps circular structures in properties as-is by default", function() {
+			const cyclic = {};
+			cyclic.self = cyclic;
+
+			return PromiseUtil.props( { cyclic } )
+				.then( result => result.cyclic.should.be.equal( cyclic ) );
+		} );
+
+		it( "rejects invalid source or concurrency", function() {
+			( () => PromiseUtil.props( null ) ).should.throw( TypeError );
+			( () => PromiseUtil.props( "string" ) ).should.throw( TypeError );
+			( () => PromiseUtil.props( {}, { concurrency: 0 } ) ).should.throw( TypeError );
+		} );
+	} );
+
+	describe( ".find()", () => {
+		it( "supports sequential, probably delayed search for value in array", function() {
+			let sum = 0;
+
+			return PromiseUtil
+				.find( sortedList, ( value, index, items ) => {
+					Should( index ).be.within( 0, 6 );
+					items.should.be.Array();
+					items.should.have.length( 7 );
+
+					sum += index;
+
+					if ( index % 2 === 0 ) {
+						// return instantly
+						return value === "%";
+					}
 
 					// return after some delay
 					return new Promise( resolve => setTimeout( resolve, 20 ) )
@@ -1119,6 +1968,73 @@ describe( "PromiseUtil", function() {
 					Should( sum ).be.equal( 3 );
 				} );
 		} );
+
+		it( "rejects with AbortError on aborting signal", function() {
+			const controller = new AbortController();
+
+			setTimeout( () => controller.abort(), 15 );
+
+			return PromiseUtil
+				.find( [ 10, 10, 10, 10 ], delay => PromiseUtil.delay( delay, false ), { signal: controller.signal } )
+				.should.be.rejectedWith( PromiseUtil.AbortError );
+		} );
+
+		it( "supports sequential, probably delayed search for value in generator", function() {
+			/**
+			 * Generates items.
+			 *
+			 * @returns {Generator<string>} generated items
+			 */
+			function* generate() {
+				yield* [ "one", "two", "three", "four" ];
+			}
+
+			return Promise.all( [
+				PromiseUtil.find( generate(), value => PromiseUtil.delay( 5, value.length > 3 ) ),
+				PromiseUtil.find( generate(), value => PromiseUtil.delay( 5, value.length > 3 ), { getLast: true } ),
+				PromiseUtil.find( generate(), value => value.length > 5 ),
+			] )
+				.should.be.fulfilledWith( [ "three", "four", undefined ] );
+		} );
+
+		it( "promises first match in order of items when processing items simultaneously", function() {
+			const delays = [ 50, 40, 10, 30, 5, 5, 5 ];
+
+			return PromiseUtil.find( delays, ( delay, index ) => PromiseUtil.delay( delay, index === 1 || index === 2 ), { concurrency: 3 } )
+				.should.be.fulfilledWith( 40 );
+		} );
+
+		it( "stops invoking callback on items following match found while processing items simultaneously", function() {
+			const delays = [ 50, 10, 10, 10, 10, 10 ];
+			const invoked = [];
+
+			return PromiseUtil.find( delays, ( delay, index ) => {
+				invoked.push( index );
+				return PromiseUtil.delay( delay, index === 1 );
+			}, { concurrency: 2 } )
+				.then( result => {
+					result.should.be.equal( 10 );
+					invoked.should.be.deepEqual( [ 0, 1 ] );
+				} );
+		} );
+
+		it( "ignores failures on items following match found while processing items simultaneously", function() {
+			return PromiseUtil.find( [ 50, 10, 30 ], ( delay, index ) => PromiseUtil.delay( delay ).then( () => {
+				if ( index === 2 ) {
+					throw new Error( "irrelevant failure" );
+				}
+
+				return index === 1;
+			} ), { concurrency: 3 } )
+				.should.be.fulfilledWith( 10 );
+		} );
+
+		it( "promises last match in order of items when processing items simultaneously IN REVERSE ORDER", function() {
+			const delays = [ 5, 10, 50, 40, 10, 30 ];
+
+			return PromiseUtil.find( delays, ( delay, index ) => PromiseUtil.delay( delay, index === 3 || index === 4 ), { concurrency: 3, getLast: true } )
+				.should.be.fulfilledWith( 10 );
+		} );
 	} );
 
 	describe( ".indexOf()", () => {
@@ -1427,126 +2343,952 @@ describe( "PromiseUtil", function() {
 					Should( sum ).be.equal( 3 );
 				} );
 		} );
-	} );
-
-	describe( ".delay()", () => {
-		it( "creates promise to roughly delay processing by a given number of milliseconds", function() {
-			const start = Date.now();
 
-			return PromiseUtil.delay( 100 )
-				.then( function() {
-					const stop = Date.now();
+		it( "provides index of first match on concurrent search even though later match is found first", function() {
+			return PromiseUtil
+				.indexOf( [ 5, 40, 10, 30, 5 ], delay => PromiseUtil.delay( delay, delay > 20 ), { concurrency: 5 } )
+				.should.be.fulfilledWith( 1 );
+		} );
 
-					// find() is providing found value
-					Should( stop - start ).be.approximately( 100, 30 );
-				} );
+		it( "provides index of last match on concurrent search IN REVERSE ORDER even though earlier match is found first", function() {
+			return PromiseUtil
+				.indexOf( [ 5, 10, 30, 40, 5 ], delay => PromiseUtil.delay( delay, delay > 20 ), { concurrency: 5, getLast: true } )
+				.should.be.fulfilledWith( 3 );
 		} );
-	} );
 
-	describe( ".process()", () => {
-		it( "resolves on processing no items read from empty stream", function() {
-			return PromiseUtil.process( _getStreamFromArray(), () => {
-				throw new Error( "process() invoked callback on empty string" );
-			} );
+		it( "provides `undefined` on failed concurrent search for key of a Map's element", function() {
+			return PromiseUtil
+				.indexOf( map, () => PromiseUtil.delay( 5, false ), { concurrency: 2 } )
+				.should.be.fulfilledWith( undefined );
 		} );
 
-		it( "resolves on processing item read from single-item object stream", function() {
-			const stream = _getStreamFromArray( { items: [{ foo: 1 }] } );
+		it( "supports sequential, probably delayed search for index of a value in Set", function() {
+			const set = new Set( [ "one", "two", "three", "four" ] );
 
-			return PromiseUtil.process( stream, ( item, index, streamRef ) => {
-				item.should.be.Object()
-					.and.have.size( 1 )
-					.and.have.property( "foo" )
-					.and.equal( 1 );
-				index.should.be.Number()
-					.and.equal( 0 );
-				streamRef.should.equal( stream );
-			} );
+			return Promise.all( [
+				PromiseUtil.indexOf( set, value => PromiseUtil.delay( 5, value.length > 3 ) ),
+				PromiseUtil.indexOf( set, value => PromiseUtil.delay( 5, value.length > 3 ), { getLast: true } ),
+				PromiseUtil.indexOf( set, value => value.length > 5 ),
+			] )
+				.should.be.fulfilledWith( [ 2, 3, -1 ] );
 		} );
 
-		it( "pauses stream while processing asynchronously", function() {
-			let factor = 1;
+		it( "promises index of first match in order of items when processing items simultaneously", function() {
+			const delays = [ 50, 40, 10, 30, 5 ];
+			const invoked = [];
+
+			return PromiseUtil.indexOf( delays, ( delay, index ) => {
+				invoked.push( index );
+				return PromiseUtil.delay( delay, index > 0 );
+			}, { concurrency: 3 } )
+				.then( index => {
+					index.should.be.equal( 1 );
+					invoked.should.be.deepEqual( [ 0, 1, 2 ] );
+				} );
+		} );
+	} );
 
-			const stream = _getStreamFromArray( { items: [ 1, 2, 6, 8, 5 ] } );
+	describe( ".reduce()", () => {
+		it( "supports sequential, probably delayed reduction of array", function() {
+			const visited = [];
 
-			return PromiseUtil.process( stream, function( digit, index ) {
-				return new Promise( resolve => {
-					setTimeout( () => {
-						this.number = ( this.number || 0 ) + ( digit * factor );
-						factor *= 10;
+			return PromiseUtil
+				.reduce( sortedList, ( accumulator, value, index, items ) => {
+					items.should.be.equal( sortedList );
+					visited.push( index );
 
-						resolve();
-					}, ( 6 - index ) * 10 );
-				} );
-			} )
+					if ( index % 2 === 0 ) {
+						return accumulator + value;
+					}
+
+					return PromiseUtil.delay( 10, accumulator + value );
+				}, "" )
 				.then( result => {
-					result.should.be.Object()
-						.and.have.size( 1 )
-						.and.have.property( "number" )
-						.and.equal( 58621 );
+					result.should.be.equal( "*-+#=%:" );
+					visited.should.be.eql( [ 0, 1, 2, 3, 4, 5, 6 ] );
 				} );
 		} );
 
-		it( "processes non-object streams", function() {
-			const stream = _getStreamFromArray( {
-				objectMode: false,
-				items: [
-					Buffer.from( "Hello", "utf8" ),
-					Buffer.from( " ", "utf8" ),
-					Buffer.from( "World", "utf8" ),
-					Buffer.from( "!", "utf8" )
-				]
-			} );
+		it( "supports sequential, probably delayed reduction of object", function() {
+			return PromiseUtil
+				.reduce( object, ( accumulator, value, key ) => PromiseUtil.delay( 5, Object.assign( accumulator, { [value]: key } ) ), {} )
+				.should.be.fulfilledWith( { one: "key1", two: "key2", three: "key3" } );
+		} );
 
-			return PromiseUtil.process( stream, function( chunk, index ) {
-				return new Promise( resolve => {
-					setTimeout( () => {
-						this.chunks = ( this.chunks || [] ).concat( [chunk] );
+		it( "supports sequential, probably delayed reduction of Map", function() {
+			return PromiseUtil
+				.reduce( map, ( accumulator, value, key ) => `${accumulator},${key}=${value}`, "" )
+				.should.be.fulfilledWith( ",first=one,second=two,third=three" );
+		} );
 
-						resolve();
-					}, ( 5 - index ) * 10 );
-				} );
-			} )
-				.then( result => {
-					result.should.be.Object()
-						.and.have.size( 1 )
-						.and.have.property( "chunks" )
-						.and.be.Array()
-						.and.have.size( 4 );
+		it( "uses first item as initial value if omitted", function() {
+			const visited = [];
 
-					Buffer.concat( result.chunks ).toString( "utf8" ).should.be.String()
-						.and.equal( "Hello World!" );
+			return PromiseUtil
+				.reduce( [ 1, 2, 3, 4 ], ( accumulator, value, index ) => {
+					visited.push( index );
+					return PromiseUtil.delay( 5, accumulator * value );
+				} )
+				.then( result => {
+					result.should.be.equal( 24 );
+					visited.should.be.eql( [ 1, 2, 3 ] );
 				} );
 		} );
 
-		it( "collects chunks/objects on processing w/o custom processor", function() {
-			const stream = _getStreamFromArray( {
-				objectMode: false,
-				items: [
-					Buffer.from( "Hello", "utf8" ),
-					Buffer.from( " ", "utf8" ),
-					Buffer.from( "World", "utf8" ),
-					Buffer.from( "!", "utf8" )
-				]
-			} );
+		it( "uses explicitly provided undefined as initial value", function() {
+			const accumulators = [];
 
-			return PromiseUtil.process( stream )
+			return PromiseUtil
+				.reduce( [ 1, 2 ], ( accumulator, value ) => {
+					accumulators.push( accumulator );
+					return value;
+				}, undefined )
 				.then( result => {
-					result.should.be.Object()
-						.and.have.size( 1 )
-						.and.have.property( "collected" )
-						.and.be.Array()
-						.and.have.size( 4 );
-
-					Buffer.concat( result.collected ).toString( "utf8" ).should.be.String()
-						.and.equal( "Hello World!" );
+					result.should.be.equal( 2 );
+					accumulators.should.be.eql( [ undefined, 1 ] );
 				} );
 		} );
 
-		it( "stops processing on stream error", function() {
-			const stream = _getStreamFromArray( {
-				objectMode: false,
-				items: [
+		it( "waits for promised initial value", function() {
+			return PromiseUtil
+				.reduce( [ 1, 2, 3 ], ( accumulator, value ) => accumulator + value, PromiseUtil.delay( 10, 10 ) )
+				.should.be.fulfilledWith( 16 );
+		} );
+
+		it( "provides initial value on reducing empty collection", function() {
+			return PromiseUtil
+				.reduce( [], () => { throw new Error( "unexpected invocation" ); }, "initial" )
+				.should.be.fulfilledWith( "initial" );
+		} );
+
+		it( "rejects on reducing empty collection without initial value", function() {
+			return PromiseUtil
+				.reduce( new Set(), ( accumulator, value ) => accumulator + value )
+				.should.be.rejectedWith( TypeError );
+		} );
+
+		it( "supports reduction of async iterable", function() {
+			return PromiseUtil
+				.reduce( _getAsyncIterable( [ 1, 2, 3 ] ), ( accumulator, value ) => accumulator.concat( value ), [] )
+				.should.be.fulfilledWith( [ 1, 2, 3 ] );
+		} );
+
+		it( "rejects on callback failing", function() {
+			return PromiseUtil
+				.reduce( [ 1, 2, 3 ], ( accumulator, value ) => {
+					if ( value === 2 ) {
+						throw new Error( "failed" );
+					}
+
+					return accumulator + value;
+				}, 0 )
+				.should.be.rejectedWith( "failed" );
+		} );
+	} );
+
+	describe( ".reduceRight()", () => {
+		it( "supports sequential, probably delayed reduction of array IN REVERSE ORDER", function() {
+			const visited = [];
+
+			return PromiseUtil
+				.reduceRight( sortedList, ( accumulator, value, index ) => {
+					visited.push( index );
+
+					return PromiseUtil.delay( 5, accumulator + value );
+				}, "" )
+				.then( result => {
+					result.should.be.equal( ":%=#+-*" );
+					visited.should.be.eql( [ 6, 5, 4, 3, 2, 1, 0 ] );
+				} );
+		} );
+
+		it( "supports sequential, probably delayed reduction of Map IN REVERSE ORDER", function() {
+			return PromiseUtil
+				.reduceRight( map, ( accumulator, value, key ) => `${accumulator},${key}=${value}`, "" )
+				.should.be.fulfilledWith( ",third=three,second=two,first=one" );
+		} );
+
+		it( "uses last item as initial value if omitted", function() {
+			return PromiseUtil
+				.reduceRight( [ "a", "b", "c" ], ( accumulator, value ) => accumulator + value )
+				.should.be.fulfilledWith( "cba" );
+		} );
+
+		it( "supports reduction of generator IN REVERSE ORDER", function() {
+			return PromiseUtil
+				.reduceRight( new Set( [ "a", "b", "c" ] ).values(), ( accumulator, value, index ) => `${accumulator}${index}${value}`, "" )
+				.should.be.fulfilledWith( "2c1b0a" );
+		} );
+	} );
+
+	describe( ".delay()", () => {
+		it( "creates promise to roughly delay processing by a given number of milliseconds", function() {
+			const start = Date.now();
+
+			return PromiseUtil.delay( 100 )
+				.then( function() {
+					const stop = Date.now();
+
+					// find() is providing found value
+					Should( stop - start ).be.approximately( 100, 30 );
+				} );
+		} );
+
+		it( "rejects with AbortError on aborting signal", function() {
+			const controller = new AbortController();
+			const start = Date.now();
+
+			setTimeout( () => controller.abort( "stop" ), 20 );
+
+			return PromiseUtil.delay( 1000, "late", { signal: controller.signal } )
+				.should.be.rejectedWith( PromiseUtil.AbortError, { reason: "stop" } )
+				.then( () => {
+					Should( Date.now() - start ).be.below( 100 );
+				} );
+		} );
+
+		it( "resolves with payload if signal isn't aborted", function() {
+			const controller = new AbortController();
+
+			return PromiseUtil.delay( 10, "payload", { signal: controller.signal } )
+				.should.be.fulfilledWith( "payload" );
+		} );
+	} );
+
+	describe( ".timeout()", () => {
+		it( "provides result of promise settling in time", function() {
+			return PromiseUtil.timeout( PromiseUtil.delay( 10, "result" ), 100 )
+				.should.be.fulfilledWith( "result" );
+		} );
+
+		it( "passes rejection of promise settling in time", function() {
+			return PromiseUtil.timeout( PromiseUtil.delay( 10 ).then( () => { throw new Error( "failed" ); } ), 100 )
+				.should.be.rejectedWith( "failed" );
+		} );
+
+		it( "rejects with TimeoutError on promise taking too long", function() {
+			const start = Date.now();
+
+			return PromiseUtil.timeout( PromiseUtil.delay( 200 ), 30 )
+				.should.be.rejectedWith( PromiseUtil.TimeoutError )
+				.then( error => {
+					error.message.should.match( /30ms/ );
+					error.elapsed.should.be.approximately( 30, 20 );
+					Should( Date.now() - start ).be.below( 100 );
+				} );
+		} );
+
+		it( "supports custom message of TimeoutError", function() {
+			return PromiseUtil.timeout( PromiseUtil.delay( 200 ), 10, { message: "lookup took too long" } )
+				.should.be.rejectedWith( PromiseUtil.TimeoutError, { message: "lookup took too long" } );
+		} );
+
+		it( "resolves with fallback value on promise taking too long", function() {
+			return PromiseUtil.timeout( PromiseUtil.delay( 200, "late" ), 10, { fallback: "fallback" } )
+				.should.be.fulfilledWith( "fallback" );
+		} );
+
+		it( "invokes provided function with signal aborted on timeout", function() {
+			let signal;
+
+			return PromiseUtil.timeout( _signal => {
+				signal = _signal;
+				return PromiseUtil.delay( 200 );
+			}, 10 )
+				.should.be.rejectedWith( PromiseUtil.TimeoutError )
+				.then( error => {
+					signal.aborted.should.be.true();
+					signal.reason.should.be.equal( error );
+				} );
+		} );
+
+		it( "clears timer on promise settling in time", function() {
+			let signal;
+
+			return PromiseUtil.timeout( _signal => {
+				signal = _signal;
+				return "instant";
+			}, 20 )
+				.should.be.fulfilledWith( "instant" )
+				.then( () => PromiseUtil.delay( 40 ) )
+				.then( () => {
+					signal.aborted.should.be.false();
+				} );
+		} );
+
+		it( "rejects with AbortError on aborting signal", function() {
+			const controller = new AbortController();
+			let signal;
+
+			setTimeout( () => controller.abort( "cancelled" ), 10 );
+
+			return PromiseUtil.timeout( _signal => {
+				signal = _signal;
+				return PromiseUtil.delay( 200 );
+			}, 100, { signal: controller.signal } )
+				.should.be.rejectedWith( PromiseUtil.AbortError, { reason: "cancelled" } )
+				.then( () => {
+					signal.aborted.should.be.true();
+				} );
+		} );
+	} );
+
+	describe( ".retry()", () => {
+		it( "provides result of first succeeding attempt", function() {
+			const attempts = [];
+
+			return PromiseUtil.retry( attempt => {
+				attempts.push( attempt );
+
+				if ( attempt < 3 ) {
+					throw new Error( `attempt ${attempt} failed` );
+				}
+
+				return PromiseUtil.delay( 5, "success" );
+			}, { minDelay: 5 } )
+				.then( result => {
+					result.should.be.equal( "success" );
+					attempts.should.be.eql( [ 1, 2, 3 ] );
+				} );
+		} );
+
+		it( "rejects with RetryError exposing errors of all attempts on final failure", function() {
+			let count = 0;
+
+			return PromiseUtil.retry( () => PromiseUtil.delay( 1 ).then( () => { throw new Error( `failure ${++count}` ); } ), { retries: 2, minDelay: 1 } )
+				.should.be.rejectedWith( PromiseUtil.RetryError )
+				.then( error => {
+					error.attempts.should.be.equal( 3 );
+					error.errors.map( e => e.message ).should.be.eql( [ "failure 1", "failure 2", "failure 3" ] );
+					error.cause.message.should.be.equal( "failure 3" );
+					error.message.should.match( /failure 3/ );
+				} );
+		} );
+
+		it( "waits according to backoff strategy between attempts", function() {
+			const delays = {};
+
+			const collect = strategy => PromiseUtil.retry( () => { throw new Error( "failed" ); }, {
+				retries: 4,
+				minDelay: 1,
+				backoff: strategy,
+				onRetry: ( error, attempt, delay ) => {
+					error.message.should.be.equal( "failed" );
+					( delays[strategy] = delays[strategy] || [] ).push( delay );
+				},
+			} ).catch( () => delays[strategy] );
+
+			return Promise.all( [ collect( "constant" ), collect( "linear" ), collect( "exponential" ) ] )
+				.then( ( [ constant, linear, exponential ] ) => {
+					constant.should.be.eql( [ 1, 1, 1, 1 ] );
+					linear.should.be.eql( [ 1, 2, 3, 4 ] );
+					exponential.should.be.eql( [ 1, 2, 4, 8 ] );
+				} );
+		} );
+
+		it( "caps delays at maxDelay", function() {
+			const delays = [];
+
+			return PromiseUtil.retry( () => { throw new Error( "failed" ); }, {
+				retries: 5,
+				minDelay: 1,
+				maxDelay: 5,
+				factor: 3,
+				onRetry: ( error, attempt, delay ) => delays.push( delay ),
+			} )
+				.should.be.rejected()
+				.then( () => {
+					delays.should.be.eql( [ 1, 3, 5, 5, 5 ] );
+				} );
+		} );
+
+		it( "randomizes delays on jitter", function() {
+			const full = [], decorrelated = [];
+
+			return Promise.all( [
+				PromiseUtil.retry( () => { throw new Error( "failed" ); }, {
+					retries: 4, minDelay: 2, maxDelay: 10, jitter: "full",
+					onRetry: ( error, attempt, delay ) => full.push( delay ),
+				} ).catch( () => full ),
+				PromiseUtil.retry( () => { throw new Error( "failed" ); }, {
+					retries: 4, minDelay: 2, maxDelay: 10, jitter: "decorrelated",
+					onRetry: ( error, attempt, delay ) => decorrelated.push( delay ),
+				} ).catch( () => decorrelated ),
+			] )
+				.then( () => {
+					full.should.have.length( 4 );
+					full.forEach( delay => delay.should.be.within( 0, 10 ) );
+					decorrelated.should.have.length( 4 );
+					decorrelated.forEach( delay => delay.should.be.within( 2, 10 ) );
+				} );
+		} );
+
+		it( "stops retrying as soon as shouldRetry() returns false", function() {
+			let count = 0;
+
+			return PromiseUtil.retry( () => {
+				count++;
+				throw Object.assign( new Error( "failed" ), { code: count < 2 ? "ETEMPORARY" : "EFATAL" } );
+			}, {
+				minDelay: 1,
+				shouldRetry: ( error, attempt ) => {
+					attempt.should.be.equal( count );
+					return error.code === "ETEMPORARY";
+				},
+			} )
+				.should.be.rejectedWith( PromiseUtil.RetryError )
+				.then( error => {
+					count.should.be.equal( 2 );
+					error.errors.should.have.length( 2 );
+				} );
+		} );
+
+		it( "rejects invalid backoff strategy", function() {
+			( () => PromiseUtil.retry( () => true, { backoff: "random" } ) ).should.throw( TypeError );
+			( () => PromiseUtil.retry( () => true, { jitter: "some" } ) ).should.throw( TypeError );
+		} );
+
+		it( "rejects with AbortError on aborting signal while waiting for retry", function() {
+			const controller = new AbortController();
+			let count = 0;
+
+			setTimeout( () => controller.abort(), 20 );
+
+			return PromiseUtil.retry( ( attempt, signal ) => {
+				signal.should.be.equal( controller.signal );
+				count++;
+				throw new Error( "failed" );
+			}, { minDelay: 50, signal: controller.signal } )
+				.should.be.rejectedWith( PromiseUtil.AbortError )
+				.then( () => {
+					count.should.be.equal( 1 );
+				} );
+		} );
+	} );
+
+	describe( ".rateLimit()", () => {
+		it( "passes invocations at limited rate after initial burst", function() {
+			const start = Date.now();
+			const limited = PromiseUtil.rateLimit( () => Date.now() - start, { perInterval: 2, interval: 40 } );
+
+			return Promise.all( [ 0, 1, 2, 3, 4, 5 ].map( index => limited( index ) ) )
+				.then( times => {
+					times[0].should.be.below( 10 );
+					times[1].should.be.below( 10 );
+
+					for ( let i = 2; i < times.length; i++ ) {
+						( times[i] - times[i - 1] ).should.be.above( 10 );
+					}
+
+					times[5].should.be.within( 75, 130 );
+				} );
+		} );
+
+		it( "passes arguments and context to wrapped function", function() {
+			const context = {
+				prefix: "value",
+				method: PromiseUtil.rateLimit( function( a, b ) { return `${this.prefix}:${a}${b}`; }, { perInterval: 10 } ),
+			};
+
+			return context.method( "x", "y" ).should.be.fulfilledWith( "value:xy" );
+		} );
+
+		it( "passes rejections of wrapped function", function() {
+			return PromiseUtil.rateLimit( () => { throw new Error( "failed" ); }, { perInterval: 10 } )()
+				.should.be.rejectedWith( "failed" );
+		} );
+
+		it( "rejects invalid rate limits", function() {
+			( () => PromiseUtil.rateLimit( () => true ) ).should.throw( TypeError );
+			( () => PromiseUtil.rateLimit( () => true, { perInterval: 0 } ) ).should.throw( TypeError );
+			( () => PromiseUtil.rateLimit( () => true, { perInterval: 1, burst: 0 } ) ).should.throw( TypeError );
+		} );
+
+		it( "is applied on callbacks of iterating helpers via option `rate`", function() {
+			const start = Date.now();
+
+			return PromiseUtil
+				.map( [ 0, 1, 2, 3, 4 ], () => Date.now() - start, { concurrency: Infinity, rate: { perInterval: 1, interval: 20 } } )
+				.then( times => {
+					times[0].should.be.below( 10 );
+					times[4].should.be.within( 75, 130 );
+				} );
+		} );
+
+		it( "limits callbacks of each call of iterating helpers separately via options in `rate`", function() {
+			const start = Date.now();
+			const rate = { perInterval: 1, interval: 20 };
+
+			return Promise.all( [
+				PromiseUtil.map( [ 0, 1, 2 ], () => Date.now() - start, { concurrency: Infinity, rate } ),
+				PromiseUtil.map( [ 0, 1, 2 ], () => Date.now() - start, { concurrency: Infinity, rate } ),
+			] )
+				.then( ( [ first, second ] ) => {
+					first[2].should.be.within( 35, 70 );
+					second[2].should.be.within( 35, 70 );
+				} );
+		} );
+
+		it( "shares limit of rate-limited function with iterating helpers provided in `rate`", function() {
+			const start = Date.now();
+			const limited = PromiseUtil.rateLimit( () => Date.now() - start, { perInterval: 1, interval: 20 } );
+
+			return Promise.all( [
+				PromiseUtil.map( [ 0, 1, 2 ], () => Date.now() - start, { concurrency: Infinity, rate: limited } ),
+				PromiseUtil.map( [ 0, 1, 2 ], () => Date.now() - start, { concurrency: Infinity, rate: limited } ),
+				limited(),
+			] )
+				.then( ( [ first, second, direct ] ) => {
+					const times = first.concat( second, direct ).sort( ( l, r ) => l - r );
+
+					times[0].should.be.below( 10 );
+
+					for ( let i = 1; i < times.length; i++ ) {
+						( times[i] - times[i - 1] ).should.be.above( 10 );
+					}
+
+					times[6].should.be.within( 115, 180 );
+				} );
+		} );
+
+		it( "rejects functions not returned by `PromiseUtil.rateLimit()` in option `rate`", function() {
+			( () => PromiseUtil.map( [ 0, 1 ], value => value, { rate: () => true } ) ).should.throw( TypeError );
+		} );
+
+		it( "stops passing invocations of iterating helpers' callbacks on aborting signal", function() {
+			const controller = new AbortController();
+			let invoked = 0;
+
+			return PromiseUtil
+				.each( [ 0, 1, 2, 3, 4 ], () => {
+					if ( ++invoked === 2 ) {
+						setTimeout( () => controller.abort(), 5 );
+					}
+				}, { concurrency: 5, rate: { perInterval: 1, interval: 20 }, signal: controller.signal } )
+				.should.be.rejectedWith( PromiseUtil.AbortError )
+				.then( () => PromiseUtil.delay( 60 ) )
+				.then( () => {
+					invoked.should.be.equal( 2 );
+				} );
+		} );
+	} );
+
+	describe( ".memoize()", () => {
+		it( "shares pending promise among concurrent invocations with same key", function() {
+			let calls = 0;
+			const memoized = PromiseUtil.memoize( id => {
+				calls++;
+				return PromiseUtil.delay( 5, `value ${id}` );
+			} );
+
+			const a = memoized( 1 );
+			const b = memoized( 1 );
+			const c = memoized( 2 );
+
+			a.should.be.equal( b );
+
+			return Promise.all( [ a, b, c ] )
+				.then( results => {
+					results.should.be.eql( [ "value 1", "value 1", "value 2" ] );
+					calls.should.be.equal( 2 );
+
+					return memoized( 1 );
+				} )
+				.then( result => {
+					result.should.be.equal( "value 1" );
+					calls.should.be.equal( 2 );
+				} );
+		} );
+
+		it( "derives key from all arguments serialized by default", function() {
+			let calls = 0;
+			const memoized = PromiseUtil.memoize( ( a, b ) => { calls++; return a + b; } );
+
+			return Promise.all( [ memoized( 1, 2 ), memoized( 1, 2 ), memoized( 1, 3 ) ] )
+				.then( results => {
+					results.should.be.eql( [ 3, 3, 4 ] );
+					calls.should.be.equal( 2 );
+				} );
+		} );
+
+		it( "supports custom key derivation", function() {
+			let calls = 0;
+			const memoized = PromiseUtil.memoize( user => { calls++; return user.name; }, { key: user => user.id } );
+
+			return Promise.all( [ memoized( { id: 1, name: "a" } ), memoized( { id: 1, name: "b" } ) ] )
+				.then( results => {
+					results.should.be.eql( [ "a", "a" ] );
+					calls.should.be.equal( 1 );
+				} );
+		} );
+
+		it( "passes context to memoized function", function() {
+			const context = {
+				prefix: "value",
+				method: PromiseUtil.memoize( function( a ) { return `${this.prefix}:${a}`; } ),
+			};
+
+			return context.method( "x" ).should.be.fulfilledWith( "value:x" );
+		} );
+
+		it( "drops cached results after TTL", function() {
+			let calls = 0;
+			const memoized = PromiseUtil.memoize( () => ++calls, { ttl: 10 } );
+
+			return memoized()
+				.then( result => {
+					result.should.be.equal( 1 );
+					return memoized();
+				} )
+				.then( result => {
+					result.should.be.equal( 1 );
+					return PromiseUtil.delay( 20 );
+				} )
+				.then( () => memoized() )
+				.then( result => {
+					result.should.be.equal( 2 );
+				} );
+		} );
+
+		it( "evicts least recently used results on exceeding maximum size", function() {
+			const calls = [];
+			const memoized = PromiseUtil.memoize( id => { calls.push( id ); return id; }, { maxSize: 2 } );
+
+			return memoized( 1 )
+				.then( () => memoized( 2 ) )
+				.then( () => memoized( 1 ) )
+				.then( () => memoized( 3 ) )
+				.then( () => memoized( 1 ) )
+				.then( () => memoized( 2 ) )
+				.then( () => {
+					calls.should.be.eql( [ 1, 2, 3, 2 ] );
+				} );
+		} );
+
+		it( "drops rejections by default", function() {
+			let calls = 0;
+			const memoized = PromiseUtil.memoize( () => Promise.reject( new Error( `failed ${++calls}` ) ) );
+
+			return memoized().should.be.rejectedWith( "failed 1" )
+				.then( () => memoized().should.be.rejectedWith( "failed 2" ) );
+		} );
+
+		it( "caches rejections on demand", function() {
+			let calls = 0;
+			const memoized = PromiseUtil.memoize( () => Promise.reject( new Error( `failed ${++calls}` ) ), { cacheRejections: true } );
+
+			return memoized().should.be.rejectedWith( "failed 1" )
+				.then( () => memoized().should.be.rejectedWith( "failed 1" ) );
+		} );
+
+		it( "delivers expired result while refreshing it in background on demand", function() {
+			let calls = 0;
+			const memoized = PromiseUtil.memoize( () => PromiseUtil.delay( 5, ++calls ), { ttl: 50, staleWhileRevalidate: true } );
+
+			return memoized()
+				.then( result => {
+					result.should.be.equal( 1 );
+					return PromiseUtil.delay( 70 );
+				} )
+				.then( () => memoized() )
+				.then( result => {
+					result.should.be.equal( 1 );
+					calls.should.be.equal( 2 );
+					return PromiseUtil.delay( 20 );
+				} )
+				.then( () => memoized() )
+				.then( result => {
+					result.should.be.equal( 2 );
+					calls.should.be.equal( 2 );
+				} );
+		} );
+
+		it( "supports deleting single result and clearing all results", function() {
+			let calls = 0;
+			const memoized = PromiseUtil.memoize( id => `${id}:${++calls}` );
+
+			return Promise.all( [ memoized( "a" ), memoized( "b" ) ] )
+				.then( () => {
+					memoized.delete( "a" ).should.be.true();
+					memoized.delete( "c" ).should.be.false();
+
+					return Promise.all( [ memoized( "a" ), memoized( "b" ) ] );
+				} )
+				.then( results => {
+					results.should.be.eql( [ "a:3", "b:2" ] );
+
+					memoized.clear();
+
+					return Promise.all( [ memoized( "a" ), memoized( "b" ) ] );
+				} )
+				.then( results => {
+					results.should.be.eql( [ "a:4", "b:5" ] );
+				} );
+		} );
+
+		it( "rejects invalid options", function() {
+			( () => PromiseUtil.memoize( "fn" ) ).should.throw( TypeError );
+			( () => PromiseUtil.memoize( () => 1, { ttl: -1 } ) ).should.throw( TypeError );
+			( () => PromiseUtil.memoize( () => 1, { maxSize: 0 } ) ).should.throw( TypeError );
+			( () => PromiseUtil.memoize( () => 1, { maxSize: 1.5 } ) ).should.throw( TypeError );
+		} );
+	} );
+
+	describe( ".circuitBreaker()", () => {
+		it( "passes results, rejections, arguments and context of wrapped function", function() {
+			const context = {
+				prefix: "value",
+				method: PromiseUtil.circuitBreaker( function( a ) {
+					if ( a === "fail" ) {
+						throw new Error( "failed" );
+					}
+
+					return `${this.prefix}:${a}`;
+				} ),
+			};
+
+			return Promise.all( [
+				context.method( "x" ).should.be.fulfilledWith( "value:x" ),
+				context.method( "fail" ).should.be.rejectedWith( "failed" ),
+			] );
+		} );
+
+		it( "opens circuit after consecutive failures failing fast with CircuitOpenError", function() {
+			let calls = 0;
+			const guarded = PromiseUtil.circuitBreaker( () => { calls++; throw new Error( "failed" ); }, { failureThreshold: 3 } );
+
+			guarded.state.should.be.equal( "closed" );
+
+			return guarded().should.be.rejectedWith( "failed" )
+				.then( () => guarded().should.be.rejectedWith( "failed" ) )
+				.then( () => {
+					guarded.state.should.be.equal( "closed" );
+
+					return guarded().should.be.rejectedWith( "failed" );
+				} )
+				.then( () => {
+					guarded.state.should.be.equal( "open" );
+
+					return guarded().should.be.rejectedWith( PromiseUtil.CircuitOpenError );
+				} )
+				.then( () => {
+					calls.should.be.equal( 3 );
+					guarded.stats.should.be.eql( { calls: 4, successes: 0, failures: 3, rejections: 1 } );
+				} );
+		} );
+
+		it( "resets count of failures on success", function() {
+			let fail = true;
+			const guarded = PromiseUtil.circuitBreaker( () => {
+				if ( fail ) {
+					throw new Error( "failed" );
+				}
+			}, { failureThreshold: 2 } );
+
+			return guarded().should.be.rejected()
+				.then( () => {
+					fail = false;
+					return guarded();
+				} )
+				.then( () => {
+					fail = true;
+					return guarded().should.be.rejected();
+				} )
+				.then( () => {
+					guarded.state.should.be.equal( "closed" );
+				} );
+		} );
+
+		it( "ignores errors not considered failure", function() {
+			const guarded = PromiseUtil.circuitBreaker( () => { throw new Error( "not found" ); }, {
+				failureThreshold: 1,
+				isFailure: error => error.message !== "not found",
+			} );
+
+			return guarded().should.be.rejectedWith( "not found" )
+				.then( () => guarded().should.be.rejectedWith( "not found" ) )
+				.then( () => {
+					guarded.state.should.be.equal( "closed" );
+					guarded.stats.failures.should.be.equal( 0 );
+				} );
+		} );
+
+		it( "closes circuit on succeeding probe after reset timeout", function() {
+			let fail = true;
+			const guarded = PromiseUtil.circuitBreaker( () => {
+				if ( fail ) {
+					throw new Error( "failed" );
+				}
+
+				return PromiseUtil.delay( 5, "ok" );
+			}, { failureThreshold: 1, resetTimeout: 10 } );
+
+			return guarded().should.be.rejectedWith( "failed" )
+				.then( () => PromiseUtil.delay( 15 ) )
+				.then( () => {
+					guarded.state.should.be.equal( "half-open" );
+					fail = false;
+
+					const probe = guarded();
+
+					return Promise.all( [
+						probe.should.be.fulfilledWith( "ok" ),
+						guarded().should.be.rejectedWith( PromiseUtil.CircuitOpenError ),
+					] );
+				} )
+				.then( () => {
+					guarded.state.should.be.equal( "closed" );
+				} );
+		} );
+
+		it( "re-opens circuit on failing probe", function() {
+			const guarded = PromiseUtil.circuitBreaker( () => { throw new Error( "failed" ); }, { failureThreshold: 1, resetTimeout: 10 } );
+
+			return guarded().should.be.rejectedWith( "failed" )
+				.then( () => PromiseUtil.delay( 15 ) )
+				.then( () => guarded().should.be.rejectedWith( "failed" ) )
+				.then( () => {
+					guarded.state.should.be.equal( "open" );
+
+					return guarded().should.be.rejectedWith( PromiseUtil.CircuitOpenError );
+				} );
+		} );
+
+		it( "emits events on changing state", function() {
+			const log = [];
+			const guarded = PromiseUtil.circuitBreaker( () => { throw new Error( "failed" ); }, { failureThreshold: 1, resetTimeout: 10 } );
+
+			guarded
+				.on( "stateChange", ( state, previous ) => log.push( `${previous} -> ${state}` ) )
+				.on( "open", () => log.push( "opened" ) );
+
+			return guarded().should.be.rejected()
+				.then( () => PromiseUtil.delay( 15 ) )
+				.then( () => guarded().should.be.rejected() )
+				.then( () => {
+					guarded.reset();
+
+					log.should.be.eql( [
+						"opened", "closed -> open",
+						"open -> half-open",
+						"opened", "half-open -> open",
+						"open -> closed",
+					] );
+				} );
+		} );
+
+		it( "rejects invalid options", function() {
+			( () => PromiseUtil.circuitBreaker( "fn" ) ).should.throw( TypeError );
+			( () => PromiseUtil.circuitBreaker( () => 1, { failureThreshold: 0 } ) ).should.throw( TypeError );
+			( () => PromiseUtil.circuitBreaker( () => 1, { resetTimeout: -1 } ) ).should.throw( TypeError );
+			( () => PromiseUtil.circuitBreaker( () => 1, { halfOpenMax: 0 } ) ).should.throw( TypeError );
+		} );
+	} );
+
+	describe( ".process()", () => {
+		it( "resolves on processing no items read from empty stream", function() {
+			return PromiseUtil.process( _getStreamFromArray(), () => {
+				throw new Error( "process() invoked callback on empty string" );
+			} );
+		} );
+
+		it( "resolves on processing item read from single-item object stream", function() {
+			const stream = _getStreamFromArray( { items: [{ foo: 1 }] } );
+
+			return PromiseUtil.process( stream, ( item, index, streamRef ) => {
+				item.should.be.Object()
+					.and.have.size( 1 )
+					.and.have.property( "foo" )
+					.and.equal( 1 );
+				index.should.be.Number()
+					.and.equal( 0 );
+				streamRef.should.equal( stream );
+			} );
+		} );
+
+		it( "pauses stream while processing asynchronously", function() {
+			let factor = 1;
+
+			const stream = _getStreamFromArray( { items: [ 1, 2, 6, 8, 5 ] } );
+
+			return PromiseUtil.process( stream, function( digit, index ) {
+				return new Promise( resolve => {
+					setTimeout( () => {
+						this.number = ( this.number || 0 ) + ( digit * factor );
+						factor *= 10;
+
+						resolve();
+					}, ( 6 - index ) * 10 );
+				} );
+			} )
+				.then( result => {
+					result.should.be.Object()
+						.and.have.size( 1 )
+						.and.have.property( "number" )
+						.and.equal( 58621 );
+				} );
+		} );
+
+		it( "processes non-object streams", function() {
+			const stream = _getStreamFromArray( {
+				objectMode: false,
+				items: [
+					Buffer.from( "Hello", "utf8" ),
+					Buffer.from( " ", "utf8" ),
+					Buffer.from( "World", "utf8" ),
+					Buffer.from( "!", "utf8" )
+				]
+			} );
+
+			return PromiseUtil.process( stream, function( chunk, index ) {
+				return new Promise( resolve => {
+					setTimeout( () => {
+						this.chunks = ( this.chunks || [] ).concat( [chunk] );
+
+						resolve();
+					}, ( 5 - index ) * 10 );
+				} );
+			} )
+				.then( result => {
+					result.should.be.Object()
+						.and.have.size( 1 )
+						.and.have.property( "chunks" )
+						.and.be.Array()
+						.and.have.size( 4 );
+
+					Buffer.concat( result.chunks ).toString( "utf8" ).should.be.String()
+						.and.equal( "Hello World!" );
+				} );
+		} );
+
+		it( "collects chunks/objects on processing w/o custom processor", function() {
+			const stream = _getStreamFromArray( {
+				objectMode: false,
+				items: [
+					Buffer.from( "Hello", "utf8" ),
+					Buffer.from( " ", "utf8" ),
+					Buffer.from( "World", "utf8" ),
+					Buffer.from( "!", "utf8" )
+				]
+			} );
+
+			return PromiseUtil.process( stream )
+				.then( result => {
+					result.should.be.Object()
+						.and.have.size( 1 )
+						.and.have.property( "collected" )
+						.and.be.Array()
+						.and.have.size( 4 );
+
+					Buffer.concat( result.collected ).toString( "utf8" ).should.be.String()
+						.and.equal( "Hello World!" );
+				} );
+		} );
+
+		it( "stops processing on stream error", function() {
+			const stream = _getStreamFromArray( {
+				objectMode: false,
+				items: [
 					Buffer.from( "Hello", "utf8" ),
 					Buffer.from( " ", "utf8" ),
 					Buffer.from( "World", "utf8" ),
@@ -1555,77 +3297,1416 @@ describe( "PromiseUtil", function() {
 				failOnReadingIndex: 2
 			} );
 
-			let processed = null;
+			let processed = null;
+
+			return PromiseUtil.process( stream, function( chunk, index ) {
+				return new Promise( resolve => {
+					setTimeout( () => {
+						this.chunks = processed = ( this.chunks || [] ).concat( [chunk] );
+
+						resolve();
+					}, ( 5 - index ) * 10 );
+				} );
+			} )
+				.then( () => {
+					throw new Error( "processing stream should not succeed" );
+				}, error => {
+					error.should.be.Object().and.have.property( "code" ).and.equal( "EDESIRED" );
+
+					Buffer.concat( processed ).toString( "utf8" ).should.be.String()
+						.and.equal( "Hello " );
+				} );
+		} );
+
+		it( "stops processing and destroys stream on aborting signal", function() {
+			const controller = new AbortController();
+			const stream = _getStreamFromArray( { items: [ 1, 2, 3, 4, 5, 6 ] } );
+			const processed = [];
+
+			setTimeout( () => controller.abort(), 30 );
+
+			return PromiseUtil.process( stream, ( item, index, streamRef, signal ) => {
+				signal.should.be.equal( controller.signal );
+				processed.push( item );
+
+				return PromiseUtil.delay( 20 );
+			}, { signal: controller.signal } )
+				.should.be.rejectedWith( PromiseUtil.AbortError )
+				.then( () => {
+					stream.destroyed.should.be.true();
+					processed.should.be.eql( [ 1, 2 ] );
+				} );
+		} );
+
+		it( "reports progress with unknown total after every processed item on demand", function() {
+			const reports = [];
+			const stream = _getStreamFromArray( { items: [ "a", "b", "c" ] } );
+
+			return PromiseUtil.process( stream, item => ( item === "b" ? PromiseUtil.delay( 5 ) : undefined ), { onProgress: report => reports.push( report ) } )
+				.then( () => {
+					reports.map( report => report.done ).should.be.eql( [ 1, 2, 3 ] );
+					reports.map( report => report.key ).should.be.eql( [ 0, 1, 2 ] );
+					( reports[0].total === undefined ).should.be.true();
+				} );
+		} );
+
+		it( "processes up to given number of items simultaneously on demand", function() {
+			const stream = _getStreamFromArray( { items: [ 30, 10, 20, 10, 5, 5 ] } );
+			const log = [];
+			let running = 0;
+			let max = 0;
+
+			return PromiseUtil.process( stream, function( delay, index ) {
+				max = Math.max( max, ++running );
+
+				return PromiseUtil.delay( delay ).then( () => {
+					running--;
+					log.push( index );
+				} );
+			}, { concurrency: 3 } )
+				.then( () => {
+					max.should.be.equal( 3 );
+					log.should.have.length( 6 );
+					log.should.not.be.eql( [ 0, 1, 2, 3, 4, 5 ] );
+				} );
+		} );
+
+		it( "completes processing of items in order of items on demand", function() {
+			const stream = _getStreamFromArray( { items: [ 20, 5, 10, 5 ] } );
+			const reports = [];
+
+			return PromiseUtil.process( stream, delay => PromiseUtil.delay( delay ), {
+				concurrency: 2,
+				ordered: true,
+				onProgress: report => reports.push( report.key ),
+			} )
+				.then( () => {
+					reports.should.be.eql( [ 0, 1, 2, 3 ] );
+				} );
+		} );
+
+		it( "commits results in order of items on demand", function() {
+			const stream = _getStreamFromArray( { items: [ 30, 10, 5, 1 ] } );
+			const committed = [];
+
+			return PromiseUtil.process( stream, delay => PromiseUtil.delay( delay, delay ), {
+				concurrency: 4,
+				ordered: true,
+				commit: result => { committed.push( result ); },
+			} )
+				.then( () => {
+					committed.should.be.eql( [ 30, 10, 5, 1 ] );
+				} );
+		} );
+
+		it( "commits results in order of completion by default", function() {
+			const stream = _getStreamFromArray( { items: [ 30, 10, 5, 1 ] } );
+			const committed = [];
+
+			return PromiseUtil.process( stream, delay => PromiseUtil.delay( delay, delay ), {
+				concurrency: 4,
+				commit: result => { committed.push( result ); },
+			} )
+				.then( () => {
+					committed.should.be.eql( [ 1, 5, 10, 30 ] );
+				} );
+		} );
+
+		it( "waits for commit of preceding result before committing next one", function() {
+			const stream = _getStreamFromArray( { items: [ 1, 2, 3 ] } );
+			const log = [];
+
+			return PromiseUtil.process( stream, value => value, {
+				concurrency: 3,
+				ordered: true,
+				commit: function( result, index ) {
+					log.push( `start ${index}` );
+
+					return PromiseUtil.delay( 10 - ( index * 3 ) ).then( () => {
+						log.push( `end ${index}` );
+						this.sum = ( this.sum || 0 ) + result;
+					} );
+				},
+			} )
+				.then( target => {
+					log.should.be.eql( [ "start 0", "end 0", "start 1", "end 1", "start 2", "end 2" ] );
+					target.sum.should.be.equal( 6 );
+				} );
+		} );
+
+		it( "rejects on commit failing", function() {
+			const stream = _getStreamFromArray( { items: [ 1, 2, 3 ] } );
+
+			return PromiseUtil.process( stream, value => value, {
+				commit: value => {
+					if ( value === 2 ) {
+						throw new Error( "commit failed" );
+					}
+				},
+			} )
+				.should.be.rejectedWith( "commit failed" );
+		} );
+
+		it( "stops processing further items on first failure with concurrency", function() {
+			const stream = _getStreamFromArray( { items: [ 1, 2, 3, 4, 5, 6, 7, 8 ] } );
+			const started = [];
+
+			return PromiseUtil.process( stream, value => {
+				started.push( value );
+
+				if ( value === 2 ) {
+					return Promise.reject( new Error( "failed" ) );
+				}
+
+				return PromiseUtil.delay( 10 );
+			}, { concurrency: 2 } )
+				.should.be.rejectedWith( "failed" )
+				.then( () => PromiseUtil.delay( 30 ) )
+				.then( () => {
+					started.should.be.eql( [ 1, 2 ] );
+				} );
+		} );
+
+		it( "rejects invalid concurrency", function() {
+			( () => PromiseUtil.process( _getStreamFromArray(), undefined, { concurrency: 0 } ) ).should.throw( TypeError );
+		} );
+
+		it( "rejects on stream being destroyed prematurely", function() {
+			const stream = new Stream.Readable( { objectMode: true, read: () => true } );
+			const promise = PromiseUtil.process( stream );
+
+			stream.push( 1 );
+			setTimeout( () => stream.destroy(), 5 );
+
+			return promise.should.be.rejectedWith( { code: "ERR_STREAM_PREMATURE_CLOSE" } );
+		} );
+
+		it( "rejects on stream failing while callback is processing item", function() {
+			const stream = _getStreamFromArray( { items: [ 1, 2, 3 ] } );
+
+			return PromiseUtil.process( stream, value => {
+				if ( value === 1 ) {
+					process.nextTick( () => stream.destroy( new Error( "broken" ) ) );
+
+					return PromiseUtil.delay( 10 );
+				}
+
+				return undefined;
+			} )
+				.should.be.rejectedWith( "broken" );
+		} );
+
+		it( "keeps stream paused on callback failing by default", function() {
+			const stream = _getStreamFromArray( { items: [ 1, 2, 3 ] } );
+
+			return PromiseUtil.process( stream, () => Promise.reject( new Error( "failed" ) ) )
+				.should.be.rejectedWith( "failed" )
+				.then( () => {
+					stream.isPaused().should.be.true();
+					stream.destroyed.should.be.false();
+				} );
+		} );
+
+		it( "detaches all its listeners from stream on callback failing", function() {
+			const stream = _getStreamFromArray( { items: [ 1, 2, 3 ] } );
+			const events = [ "data", "end", "error", "close", "finish" ];
+			const before = events.map( event => stream.listenerCount( event ) );
+
+			return PromiseUtil.process( stream, () => Promise.reject( new Error( "failed" ) ) )
+				.should.be.rejectedWith( "failed" )
+				.then( () => {
+					events.map( event => stream.listenerCount( event ) ).should.be.deepEqual( before );
+				} );
+		} );
+
+		it( "detaches all its listeners from stream after processing it", function() {
+			const stream = _getStreamFromArray( { items: [ 1, 2, 3 ] } );
+			const events = [ "data", "end", "error", "close", "finish" ];
+			const before = events.map( event => stream.listenerCount( event ) );
+
+			return PromiseUtil.process( stream, () => PromiseUtil.delay( 1 ) )
+				.then( () => {
+					events.map( event => stream.listenerCount( event ) ).should.be.deepEqual( before );
+				} );
+		} );
+
+		it( "destroys stream on callback failing on demand", function() {
+			const stream = _getStreamFromArray( { items: [ 1, 2, 3 ] } );
+
+			return PromiseUtil.process( stream, () => Promise.reject( new Error( "failed" ) ), { destroyOnFailure: true } )
+				.should.be.rejectedWith( "failed" )
+				.then( () => {
+					stream.destroyed.should.be.true();
+				} );
+		} );
+
+		it( "invokes flush callback once after processing last item", function() {
+			const stream = _getStreamFromArray( { items: [ 1, 2, 3 ] } );
+			const log = [];
+
+			return PromiseUtil.process( stream, function( value ) {
+				log.push( value );
+				this.sum = ( this.sum || 0 ) + value;
+
+				return PromiseUtil.delay( 2 );
+			}, {
+				concurrency: 2,
+				flush: function( source ) {
+					source.should.be.equal( stream );
+					log.push( "flush" );
+
+					return PromiseUtil.delay( 5 ).then( () => { this.flushed = true; } );
+				},
+			} )
+				.then( result => {
+					log.should.be.eql( [ 1, 2, 3, "flush" ] );
+					result.should.be.eql( { sum: 6, flushed: true } );
+				} );
+		} );
+
+		it( "rejects on flush callback failing", function() {
+			return PromiseUtil.process( _getStreamFromArray( { items: [1] } ), () => true, { flush: () => { throw new Error( "flush failed" ); } } )
+				.should.be.rejectedWith( "flush failed" );
+		} );
+	} );
+
+	describe( ".collect()", () => {
+		it( "promises array of objects read from object stream", function() {
+			return PromiseUtil.collect( _getStreamFromArray( { items: [ { a: 1 }, { b: 2 } ] } ) )
+				.should.be.resolvedWith( [ { a: 1 }, { b: 2 } ] );
+		} );
+
+		it( "promises concatenated buffer of chunks read from non-object stream", function() {
+			return PromiseUtil.collect( _getStreamFromArray( { objectMode: false, items: [ Buffer.from( "foo" ), Buffer.from( "bar" ) ] } ) )
+				.then( result => {
+					Buffer.isBuffer( result ).should.be.true();
+					result.toString( "utf8" ).should.be.equal( "foobar" );
+				} );
+		} );
+
+		it( "promises decoded string on demand", function() {
+			const encoded = Buffer.from( "größer", "utf8" );
+
+			return PromiseUtil.collect( _getStreamFromArray( { objectMode: false, items: [ encoded.slice( 0, 3 ), encoded.slice( 3 ) ] } ), { encoding: "utf8" } )
+				.should.be.resolvedWith( "größer" );
+		} );
+
+		it( "promises empty buffer on reading empty non-object stream", function() {
+			return PromiseUtil.collect( _getStreamFromArray( { objectMode: false } ) )
+				.then( result => {
+					Buffer.isBuffer( result ).should.be.true();
+					result.length.should.be.equal( 0 );
+				} );
+		} );
+
+		it( "rejects with LimitExceededError and destroys stream on exceeding maximum number of bytes", function() {
+			const stream = _getStreamFromArray( { objectMode: false, items: [ Buffer.from( "foo" ), Buffer.from( "bar" ), Buffer.from( "baz" ) ] } );
+
+			return PromiseUtil.collect( stream, { maxBytes: 5 } )
+				.should.be.rejectedWith( PromiseUtil.LimitExceededError, { limit: 5, unit: "bytes" } )
+				.then( () => {
+					stream.destroyed.should.be.true();
+				} );
+		} );
+
+		it( "rejects with LimitExceededError and destroys stream on exceeding maximum number of items", function() {
+			const stream = _getStreamFromArray( { items: [ 1, 2, 3 ] } );
+
+			return PromiseUtil.collect( stream, { maxItems: 2 } )
+				.should.be.rejectedWith( PromiseUtil.LimitExceededError, { limit: 2, unit: "items" } )
+				.then( () => {
+					stream.destroyed.should.be.true();
+				} );
+		} );
+
+		it( "accepts data matching limits", function() {
+			return PromiseUtil.collect( _getStreamFromArray( { objectMode: false, items: [ Buffer.from( "foo" ), Buffer.from( "ba" ) ] } ), { maxBytes: 5, encoding: "utf8" } )
+				.should.be.resolvedWith( "fooba" );
+		} );
+
+		it( "rejects invalid options", function() {
+			( () => PromiseUtil.collect( _getStreamFromArray(), { maxBytes: -1 } ) ).should.throw( TypeError );
+			( () => PromiseUtil.collect( _getStreamFromArray(), { encoding: "foo" } ) ).should.throw( TypeError );
+		} );
+	} );
+
+	describe( ".processLines()", () => {
+		it( "invokes callback per line with its number", function() {
+			const stream = _getStreamFromArray( { objectMode: false, items: [ Buffer.from( "first\nsec" ), Buffer.from( "ond\r\n\nfourth" ) ] } );
+			const lines = [];
+
+			return PromiseUtil.processLines( stream, ( line, lineNumber ) => { lines.push( [ lineNumber, line ] ); } )
+				.then( () => {
+					lines.should.be.eql( [ [ 1, "first" ], [ 2, "second" ], [ 3, "" ], [ 4, "fourth" ] ] );
+				} );
+		} );
+
+		it( "decodes multi-byte characters split across chunks", function() {
+			const encoded = Buffer.from( "größer\n€uro\n", "utf8" );
+			const stream = _getStreamFromArray( { objectMode: false, items: [ encoded.slice( 0, 3 ), encoded.slice( 3, 11 ), encoded.slice( 11 ) ] } );
+			const lines = [];
+
+			return PromiseUtil.processLines( stream, line => { lines.push( line ); } )
+				.then( () => {
+					lines.should.be.eql( [ "größer", "€uro" ] );
+				} );
+		} );
+
+		it( "waits for promises returned by callback processing lines sequentially", function() {
+			const stream = _getStreamFromArray( { objectMode: false, items: [Buffer.from( "a\nb\nc" )] } );
+			const log = [];
+
+			return PromiseUtil.processLines( stream, function( line ) {
+				log.push( `start ${line}` );
+
+				return PromiseUtil.delay( 5 ).then( () => {
+					log.push( `stop ${line}` );
+					this.count = ( this.count || 0 ) + 1;
+				} );
+			} )
+				.then( result => {
+					log.should.be.eql( [ "start a", "stop a", "start b", "stop b", "start c", "stop c" ] );
+					result.count.should.be.equal( 3 );
+				} );
+		} );
+
+		it( "rejects with ParseError on line exceeding maximum length", function() {
+			const stream = _getStreamFromArray( { objectMode: false, items: [ Buffer.from( "short\nmuch too" ), Buffer.from( " long\n" ) ] } );
+
+			return PromiseUtil.processLines( stream, () => true, { maxLineLength: 8 } )
+				.should.be.rejectedWith( PromiseUtil.ParseError, { line: 2, column: 9 } );
+		} );
+	} );
+
+	describe( ".processRecords()", () => {
+		it( "invokes callback per NDJSON record with its line number", function() {
+			const stream = _getStreamFromArray( { objectMode: false, items: [ Buffer.from( '{"a":1}\n\n{"a"' ), Buffer.from( ":2}\n" ) ] } );
+			const records = [];
+
+			return PromiseUtil.processRecords( stream, ( record, lineNumber ) => { records.push( [ lineNumber, record ] ); } )
+				.then( () => {
+					records.should.be.eql( [ [ 1, { a: 1 } ], [ 3, { a: 2 } ] ] );
+				} );
+		} );
+
+		it( "rejects with positioned ParseError on malformed NDJSON record", function() {
+			const stream = _getStreamFromArray( { objectMode: false, items: [Buffer.from( '{"a":1}\n{"a":}\n' )] } );
+
+			return PromiseUtil.processRecords( stream, () => true )
+				.should.be.rejectedWith( PromiseUtil.ParseError, { line: 2, column: 6 } );
+		} );
+
+		it( "reports column of malformed NDJSON record nested deeply", function() {
+			const record = `${"[".repeat( 100000 )}x`;
+			const stream = _getStreamFromArray( { objectMode: false, items: [Buffer.from( `{"a":1}\n${record}\n` )] } );
+
+			return PromiseUtil.processRecords( stream, () => true )
+				.should.be.rejectedWith( PromiseUtil.ParseError, { line: 2, column: 100001 } );
+		} );
+
+		it( "reports column of first invalid character in malformed NDJSON record", function() {
+			const stream = _getStreamFromArray( { objectMode: false, items: [Buffer.from( '{"a":[1,{"b":nul}]}\n' )] } );
+
+			return PromiseUtil.processRecords( stream, () => true )
+				.should.be.rejectedWith( PromiseUtil.ParseError, { line: 1, column: 14 } );
+		} );
+
+		it( "invokes callback per CSV record mapped by header", function() {
+			const stream = _getStreamFromArray( { objectMode: false, items: [ Buffer.from( 'name,note\r\njohn,"says ""hi"""\nja' ), Buffer.from( 'ne,"multi\nline, text"\n' ) ] } );
+			const records = [];
+
+			return PromiseUtil.processRecords( stream, ( record, lineNumber ) => { records.push( [ lineNumber, record ] ); }, { format: "csv" } )
+				.then( () => {
+					records.should.be.eql( [
+						[ 2, { name: "john", note: 'says "hi"' } ],
+						[ 3, { name: "jane", note: "multi\nline, text" } ],
+					] );
+				} );
+		} );
+
+		it( "supports CSV without header and custom delimiter", function() {
+			const stream = _getStreamFromArray( { objectMode: false, items: [Buffer.from( "a;b\n;c" )] } );
+			const records = [];
+
+			return PromiseUtil.processRecords( stream, record => { records.push( record ); }, { format: "csv", header: false, delimiter: ";" } )
+				.then( () => {
+					records.should.be.eql( [ [ "a", "b" ], [ "", "c" ] ] );
+				} );
+		} );
+
+		it( "rejects with positioned ParseError on malformed CSV record", function() {
+			const stream = _getStreamFromArray( { objectMode: false, items: [Buffer.from( 'a,b\n1,x"y\n' )] } );
+
+			return PromiseUtil.processRecords( stream, () => true, { format: "csv" } )
+				.should.be.rejectedWith( PromiseUtil.ParseError, { line: 2, column: 4 } );
+		} );
+
+		it( "rejects with ParseError on unterminated quoted CSV value", function() {
+			const stream = _getStreamFromArray( { objectMode: false, items: [Buffer.from( 'a,b\n1,"open\n' )] } );
+
+			return PromiseUtil.processRecords( stream, () => true, { format: "csv" } )
+				.should.be.rejectedWith( PromiseUtil.ParseError, { line: 2 } );
+		} );
+
+		it( "rejects with ParseError on CSV record with mismatching number of values", function() {
+			const stream = _getStreamFromArray( { objectMode: false, items: [Buffer.from( "a,b\n1,2,3\n" )] } );
+
+			return PromiseUtil.processRecords( stream, () => true, { format: "csv" } )
+				.should.be.rejectedWith( PromiseUtil.ParseError, { line: 2 } );
+		} );
+
+		it( "rejects invalid format", function() {
+			( () => PromiseUtil.processRecords( _getStreamFromArray(), () => true, { format: "xml" } ) ).should.throw( TypeError );
+		} );
+	} );
+
+	describe( ".transform()", () => {
+		it( "maps written objects onto pushed results in order of objects", function() {
+			const results = [];
+
+			return _pipeline( [ 30, 10, 20, 5 ], PromiseUtil.transform( delay => PromiseUtil.delay( delay, delay * 2 ), { concurrency: 4 } ), results )
+				.then( () => {
+					results.should.be.eql( [ 60, 20, 40, 10 ] );
+				} );
+		} );
+
+		it( "pushes results as soon as available on demand", function() {
+			const results = [];
+
+			const stream = PromiseUtil.transform( delay => PromiseUtil.delay( delay, delay ), { concurrency: 4, ordered: false } );
+
+			return _pipeline( [ 30, 10, 20, 5 ], stream, results )
+				.then( () => {
+					results.should.be.eql( [ 5, 10, 20, 30 ] );
+				} );
+		} );
+
+		it( "processes up to given number of objects simultaneously", function() {
+			const results = [];
+			let running = 0;
+			let max = 0;
+
+			const stream = PromiseUtil.transform( value => {
+				max = Math.max( max, ++running );
+
+				return PromiseUtil.delay( 5 ).then( () => {
+					running--;
+					return value;
+				} );
+			}, { concurrency: 2 } );
+
+			return _pipeline( [ 1, 2, 3, 4, 5, 6 ], stream, results )
+				.then( () => {
+					max.should.be.equal( 2 );
+					results.should.be.eql( [ 1, 2, 3, 4, 5, 6 ] );
+				} );
+		} );
+
+		it( "supports pushing multiple or no results per object", function() {
+			const results = [];
+
+			const stream = PromiseUtil.transform( ( value, index, push ) => {
+				for ( let i = 0; i < value; i++ ) {
+					push( `${index}:${i}` );
+				}
+
+				return null;
+			} );
+
+			return _pipeline( [ 2, 0, 1 ], stream, results )
+				.then( () => {
+					results.should.be.eql( [ "0:0", "0:1", "2:0" ] );
+				} );
+		} );
+
+		it( "processes non-object streams on demand", function() {
+			const results = [];
+			const stream = PromiseUtil.transform( chunk => chunk.toString( "utf8" ).toUpperCase(), { objectMode: false } );
+
+			return _pipeline( [ Buffer.from( "foo" ), Buffer.from( "bar" ) ], stream, results )
+				.then( () => {
+					Buffer.concat( results ).toString( "utf8" ).should.be.equal( "FOOBAR" );
+				} );
+		} );
+
+		it( "propagates failure of callback", function() {
+			const stream = PromiseUtil.transform( value => ( value === 2 ? Promise.reject( new Error( "failed" ) ) : value ) );
+
+			return _pipeline( [ 1, 2, 3 ], stream, [] ).should.be.rejectedWith( "failed" );
+		} );
+
+		it( "is destroyed with AbortError on aborting signal", function() {
+			const controller = new AbortController();
+			const stream = PromiseUtil.transform( value => {
+				if ( value === 2 ) {
+					controller.abort();
+				}
+
+				return value;
+			}, { signal: controller.signal } );
+
+			return _pipeline( [ 1, 2, 3 ], stream, [] ).should.be.rejectedWith( PromiseUtil.AbortError );
+		} );
+
+		it( "rejects invalid arguments", function() {
+			( () => PromiseUtil.transform( "fn" ) ).should.throw( TypeError );
+			( () => PromiseUtil.transform( value => value, { concurrency: 0 } ) ).should.throw( TypeError );
+		} );
+	} );
+
+	describe( ".promisify()", () => {
+		it( "promisifies function of NodeJS library", function() {
+			const { stat } = require( "fs" );
+
+			stat.should.be.Function();
+
+			const promisifiedStat = PromiseUtil.promisify( stat );
+
+			promisifiedStat.should.be.Function();
+
+			const promise = promisifiedStat( __dirname );
+
+			return promise.should.be.Promise().which.is.fulfilled();
+		} );
+
+		it( "returns rejected promise on calling promisified function of NodeJS library expected to fail", function() {
+			const { stat } = require( "fs" );
+
+			const promisifiedStat = PromiseUtil.promisify( stat );
+
+			const promise = promisifiedStat( require( "path" ).join( __dirname, "lots.of.nonsense.name.garbage" ) );
+
+			return promise.should.be.Promise().which.is.rejected();
+		} );
+
+		it( "supports context object for binding promisified function to", function() {
+			/**
+			 * Implements some test function accepting NodeJS-style callback.
+			 *
+			 * @param {function(Error,*)} cb NodeJS-style callback
+			 */
+			function theFunction( cb ) {
+				setTimeout( cb, 100, null, ( this || {} ).theValue || "not found" );
+			}
+
+			const context = { theValue: "found" };
+
+			const promisifiedUnboundFunction = PromiseUtil.promisify( theFunction );
+			const promisifiedBoundFunction = PromiseUtil.promisify( theFunction, context );
+
+			const unboundPromise = promisifiedUnboundFunction();
+			const boundPromise = promisifiedBoundFunction();
+
+			return Promise.all( [ unboundPromise, boundPromise ] )
+				.should.be.fulfilledWith( [ "not found", "found" ] );
+		} );
+
+		it( "promises all values passed to callback on demand", function() {
+			const fn = ( a, cb ) => setTimeout( cb, 2, null, a, a * 2, a * 3 );
+
+			return Promise.all( [
+				PromiseUtil.promisify( fn )( 1 ),
+				PromiseUtil.promisify( fn, undefined, { multiArgs: true } )( 1 ),
+				PromiseUtil.promisify( fn, undefined, { multiArgs: [ "single", "double" ] } )( 1 ),
+			] )
+				.should.be.fulfilledWith( [ 1, [ 1, 2, 3 ], { single: 1, double: 2 } ] );
+		} );
+
+		it( "supports callbacks not receiving error in first argument on demand", function() {
+			const fn = ( a, cb ) => setTimeout( cb, 2, a, "extra" );
+
+			return Promise.all( [
+				PromiseUtil.promisify( fn, undefined, { errorFirst: false } )( "result" ),
+				PromiseUtil.promisify( fn, undefined, { errorFirst: false, multiArgs: true } )( "result" ),
+			] )
+				.should.be.fulfilledWith( [ "result", [ "result", "extra" ] ] );
+		} );
+
+		it( "uses custom promisified variant of function", function() {
+			const { promisify } = require( "util" );
+			const custom = () => Promise.resolve( "custom" );
+
+			/**
+			 * Implements some test function accepting NodeJS-style callback.
+			 *
+			 * @param {function(Error,*)} cb NodeJS-style callback
+			 */
+			function theFunction( cb ) {
+				cb( null, "regular" );
+			}
+
+			theFunction[promisify.custom] = custom;
+
+			PromiseUtil.promisify( theFunction ).should.be.equal( custom );
+
+			return PromiseUtil.promisify( theFunction )().should.be.fulfilledWith( "custom" );
+		} );
+
+		it( "preserves length and name of promisified function", function() {
+			/**
+			 * Implements some test function accepting NodeJS-style callback.
+			 *
+			 * @param {*} a some argument
+			 * @param {*} b another argument
+			 * @param {function(Error,*)} cb NodeJS-style callback
+			 */
+			function someFunction( a, b, cb ) {
+				cb( null, a + b );
+			}
+
+			const promisified = PromiseUtil.promisify( someFunction );
+
+			promisified.length.should.be.equal( 3 );
+			promisified.name.should.be.equal( "someFunction" );
+		} );
+
+		it( "ignores callback invoked multiple times emitting warning", function() {
+			const warnings = [];
+			const onWarning = warning => warnings.push( warning.message );
+
+			process.on( "warning", onWarning );
+
+			return PromiseUtil.promisify( cb => { cb( null, "first" ); cb( null, "second" ); cb( new Error( "third" ) ); } )()
+				.should.be.fulfilledWith( "first" )
+				.then( () => PromiseUtil.delay( 5 ) )
+				.then( () => {
+					process.removeListener( "warning", onWarning );
+
+					warnings.should.have.length( 2 );
+					warnings[0].should.match( /invoked multiple times/ );
+				} );
+		} );
+
+		it( "rejects on function throwing synchronously", function() {
+			return PromiseUtil.promisify( () => { throw new Error( "sync" ); } )().should.be.rejectedWith( "sync" );
+		} );
+
+		it( "rejects invalid function", function() {
+			( () => PromiseUtil.promisify( "fn" ) ).should.throw( TypeError );
+		} );
+	} );
+
+	describe( ".promisifyAll()", () => {
+		it( "adds promisified sibling for every method of an object", function() {
+			const source = {
+				add( a, b, cb ) { cb( null, a + b ); },
+				fail( cb ) { cb( new Error( "failed" ) ); },
+				value: 5,
+			};
+
+			PromiseUtil.promisifyAll( source ).should.be.equal( source );
+
+			source.addAsync.should.be.Function();
+			source.failAsync.should.be.Function();
+			source.should.not.have.property( "valueAsync" );
+
+			return Promise.all( [
+				source.addAsync( 1, 2 ).should.be.Promise().which.is.fulfilledWith( 3 ),
+				source.failAsync().should.be.Promise().which.is.rejectedWith( "failed" ),
+			] );
+		} );
+
+		it( "binds promisified siblings of an object's methods to that object", function() {
+			const source = {
+				factor: 3,
+				scale( value, cb ) { cb( null, value * this.factor ); },
+			};
+
+			const { scaleAsync } = PromiseUtil.promisifyAll( source );
+
+			return scaleAsync( 2 ).should.be.fulfilledWith( 6 );
+		} );
+
+		it( "promisifies methods of NodeJS library", function() {
+			const fs = Object.assign( {}, require( "fs" ) );
+
+			PromiseUtil.promisifyAll( fs );
+
+			fs.statAsync.should.be.Function();
+			fs.readFileAsync.should.be.Function();
+
+			return fs.readFileAsync( __filename, "utf8" ).should.be.fulfilled().then( content => {
+				content.should.match( /promisifyAll/ );
+			} );
+		} );
+
+		it( "promisifies methods of class prototype invoked on instance", function() {
+			/**
+			 * Implements base class exposing callback-based method.
+			 */
+			class Base {
+				/** @param {function} cb callback */
+				name( cb ) { cb( null, this.label ); }
+			}
+
+			/**
+			 * Implements derived class exposing callback-based methods.
+			 */
+			class Derived extends Base {
+				/** @param {string} label label of instance */
+				constructor( label ) { super(); this.label = label; }
+
+				/** @param {function} cb callback */
+				greet( cb ) { cb( null, `hello ${this.label}` ); }
+
+				/** @param {function} cb callback */
+				static create( cb ) { cb( null, new Derived( "created" ) ); }
+			}
+
+			PromiseUtil.promisifyAll( Derived ).should.be.equal( Derived );
+
+			Derived.prototype.should.not.have.property( "constructorAsync" );
+
+			const a = new Derived( "a" );
+			const b = new Derived( "b" );
+
+			return Promise.all( [
+				a.greetAsync().should.be.fulfilledWith( "hello a" ),
+				b.greetAsync().should.be.fulfilledWith( "hello b" ),
+				b.nameAsync().should.be.fulfilledWith( "b" ),
+				Derived.createAsync().then( instance => instance.label ),
+			] )
+				.then( ( [ , , , label ] ) => label.should.be.equal( "created" ) );
+		} );
+
+		it( "skips getters, class constructors and existing siblings", function() {
+			let invoked = false;
+			const existing = () => Promise.resolve( "existing" );
+
+			const source = {
+				get computed() { invoked = true; return () => undefined; },
+				Type: class {},
+				read( cb ) { cb( null, "read" ); },
+				readAsync: existing,
+			};
+
+			PromiseUtil.promisifyAll( source );
+
+			invoked.should.be.false();
+			source.should.not.have.property( "computedAsync" );
+			source.should.not.have.property( "TypeAsync" );
+			source.readAsync.should.be.equal( existing );
+			source.should.not.have.property( "readAsyncAsync" );
+		} );
+
+		it( "skips methods promisified before", function() {
+			const source = {
+				read( cb ) { cb( null, "read" ); },
+			};
+
+			source.promised = PromiseUtil.promisify( source.read );
+
+			PromiseUtil.promisifyAll( source );
+
+			source.readAsync.should.be.Function();
+			source.should.not.have.property( "promisedAsync" );
+		} );
+
+		it( "is idempotent", function() {
+			const source = { read( cb ) { cb( null, "read" ); } };
+
+			PromiseUtil.promisifyAll( source );
+
+			const { readAsync } = source;
+
+			PromiseUtil.promisifyAll( source );
+
+			source.readAsync.should.be.equal( readAsync );
+			source.should.not.have.property( "readAsyncAsync" );
+		} );
+
+		it( "supports custom suffix and filter", function() {
+			const source = {
+				read( cb ) { cb( null, "read" ); },
+				write( cb ) { cb( null, "write" ); },
+			};
+
+			PromiseUtil.promisifyAll( source, { suffix: "P", filter: name => name !== "write" } );
+
+			source.should.have.property( "readP" );
+			source.should.not.have.property( "writeP" );
+			source.should.not.have.property( "readAsync" );
+		} );
+
+		it( "supports multiArgs option", function() {
+			const source = { pair( cb ) { cb( null, 1, 2 ); } };
+
+			PromiseUtil.promisifyAll( source, { multiArgs: [ "first", "second" ] } );
+
+			return source.pairAsync().should.be.fulfilledWith( { first: 1, second: 2 } );
+		} );
+
+		it( "derives object from non-extensible target", function() {
+			const source = Object.freeze( { read( cb ) { cb( null, "read" ); } } );
+
+			const promisified = PromiseUtil.promisifyAll( source );
+
+			promisified.should.not.be.equal( source );
+			source.should.not.have.property( "readAsync" );
+
+			return promisified.readAsync().should.be.fulfilledWith( "read" );
+		} );
+
+		it( "rejects invalid target or options", function() {
+			( () => PromiseUtil.promisifyAll( null ) ).should.throw( TypeError );
+			( () => PromiseUtil.promisifyAll( "string" ) ).should.throw( TypeError );
+			( () => PromiseUtil.promisifyAll( {}, { suffix: "" } ) ).should.throw( TypeError );
+			( () => PromiseUtil.promisifyAll( {}, { filter: "read" } ) ).should.throw( TypeError );
+		} );
+	} );
+
+	describe( ".callbackify()", () => {
+		it( "passes promised result to callback", function( done ) {
+			const callbackified = PromiseUtil.callbackify( ( a, b ) => Promise.resolve( a + b ) );
+
+			callbackified( 1, 2, ( error, result ) => {
+				Should( error ).be.null();
+				result.should.be.equal( 3 );
+				done();
+			} );
+		} );
+
+		it( "passes rejection reason to callback", function( done ) {
+			const callbackified = PromiseUtil.callbackify( () => Promise.reject( new Error( "failed" ) ) );
 
-			return PromiseUtil.process( stream, function( chunk, index ) {
-				return new Promise( resolve => {
-					setTimeout( () => {
-						this.chunks = processed = ( this.chunks || [] ).concat( [chunk] );
+			callbackified( error => {
+				error.should.be.Error().which.has.property( "message" ).which.is.equal( "failed" );
+				done();
+			} );
+		} );
 
-						resolve();
-					}, ( 5 - index ) * 10 );
+		it( "passes exception thrown by wrapped function to callback", function( done ) {
+			const callbackified = PromiseUtil.callbackify( () => { throw new Error( "thrown" ); } );
+
+			callbackified( error => {
+				error.message.should.be.equal( "thrown" );
+				done();
+			} );
+		} );
+
+		it( "supports functions returning non-promise values", function( done ) {
+			PromiseUtil.callbackify( value => value * 2 )( 21, ( error, result ) => {
+				Should( error ).be.null();
+				result.should.be.equal( 42 );
+				done();
+			} );
+		} );
+
+		it( "converts falsy rejection reason into error exposing original reason", function( done ) {
+			// rejecting with non-error is intended here for testing conversion of falsy reasons
+			// eslint-disable-next-line prefer-promise-reject-errors
+			PromiseUtil.callbackify( () => Promise.reject( 0 ) )( error => {
+				error.should.be.Error().which.has.property( "reason" ).which.is.equal( 0 );
+				error.code.should.be.equal( "ERR_FALSY_VALUE_REJECTION" );
+				done();
+			} );
+		} );
+
+		it( "invokes wrapped function with context of callbackified one", function( done ) {
+			const context = {
+				factor: 3,
+				scale: PromiseUtil.callbackify( function( value ) { return Promise.resolve( value * this.factor ); } ),
+			};
+
+			context.scale( 2, ( error, result ) => {
+				result.should.be.equal( 6 );
+				done();
+			} );
+		} );
+
+		it( "spreads promised array as arguments to callback on demand", function( done ) {
+			PromiseUtil.callbackify( () => Promise.resolve( [ 1, 2, 3 ] ), { multiArgs: true } )( ( ...args ) => {
+				args.should.be.deepEqual( [ null, 1, 2, 3 ] );
+				done();
+			} );
+		} );
+
+		it( "passes promised array as single argument by default", function( done ) {
+			PromiseUtil.callbackify( () => Promise.resolve( [ 1, 2 ] ) )( ( ...args ) => {
+				args.should.be.deepEqual( [ null, [ 1, 2 ] ] );
+				done();
+			} );
+		} );
+
+		it( "invokes callback outside of promise chain", function( done ) {
+			const listeners = process.listeners( "uncaughtException" );
+			let calls = 0;
+
+			process.removeAllListeners( "uncaughtException" );
+			process.once( "uncaughtException", error => {
+				listeners.forEach( listener => process.on( "uncaughtException", listener ) );
+
+				error.message.should.be.equal( "callback failed" );
+				calls.should.be.equal( 1 );
+				done();
+			} );
+
+			PromiseUtil.callbackify( () => Promise.resolve( "done" ) )( () => {
+				calls++;
+				throw new Error( "callback failed" );
+			} );
+		} );
+
+		it( "exposes length and name of wrapped function", function() {
+			/**
+			 * Promises sum of provided values.
+			 *
+			 * @param {number} a first value
+			 * @param {number} b second value
+			 * @returns {Promise<number>} promised sum
+			 */
+			function sum( a, b ) { return Promise.resolve( a + b ); }
+
+			const callbackified = PromiseUtil.callbackify( sum );
+
+			callbackified.length.should.be.equal( 3 );
+			callbackified.name.should.be.equal( "sum" );
+		} );
+
+		it( "rejects invalid function or missing callback", function() {
+			( () => PromiseUtil.callbackify( "fn" ) ).should.throw( TypeError );
+			( () => PromiseUtil.callbackify( () => Promise.resolve() )( 1 ) ).should.throw( TypeError );
+		} );
+	} );
+
+	describe( ".defer()", () => {
+		it( "returns pending promise along with functions for settling it", function() {
+			const deferred = PromiseUtil.defer();
+
+			deferred.promise.should.be.Promise();
+			deferred.resolve.should.be.Function();
+			deferred.reject.should.be.Function();
+			deferred.state.should.be.equal( "pending" );
+			deferred.settled.should.be.false();
+		} );
+
+		it( "fulfils promise on resolving exposing state synchronously", function() {
+			const deferred = PromiseUtil.defer();
+
+			deferred.resolve( "done" ).should.be.true();
+
+			deferred.state.should.be.equal( "fulfilled" );
+			deferred.settled.should.be.true();
+
+			return deferred.promise.should.be.fulfilledWith( "done" );
+		} );
+
+		it( "rejects promise on rejecting exposing state synchronously", function() {
+			const deferred = PromiseUtil.defer();
+
+			deferred.reject( new Error( "failed" ) ).should.be.true();
+
+			deferred.state.should.be.equal( "rejected" );
+			deferred.settled.should.be.true();
+
+			return deferred.promise.should.be.rejectedWith( "failed" );
+		} );
+
+		it( "supports settling functions detached from deferred object", function() {
+			const { promise, resolve } = PromiseUtil.defer();
+
+			setTimeout( resolve, 10, "later" );
+
+			return promise.should.be.fulfilledWith( "later" );
+		} );
+
+		it( "adopts state of promise used for resolving", function() {
+			const fulfilled = PromiseUtil.defer();
+			const rejected = PromiseUtil.defer();
+
+			fulfilled.resolve( PromiseUtil.delay( 10, "adopted" ) );
+			rejected.resolve( Promise.reject( new Error( "adopted" ) ) );
+
+			fulfilled.state.should.be.equal( "pending" );
+			rejected.state.should.be.equal( "pending" );
+
+			return Promise.all( [
+				fulfilled.promise.should.be.fulfilledWith( "adopted" ),
+				rejected.promise.should.be.rejectedWith( "adopted" ),
+			] )
+				.then( () => {
+					fulfilled.state.should.be.equal( "fulfilled" );
+					rejected.state.should.be.equal( "rejected" );
 				} );
-			} )
+		} );
+
+		it( "exposes adopted state to handlers attached to promise before", function() {
+			const deferred = PromiseUtil.defer();
+
+			const checked = deferred.promise.then( () => deferred.state );
+
+			deferred.resolve( Promise.resolve( "adopted" ) );
+
+			return checked.should.be.fulfilledWith( "fulfilled" );
+		} );
+
+		it( "ignores late attempts for settling promise", function() {
+			const deferred = PromiseUtil.defer();
+
+			deferred.resolve( "first" ).should.be.true();
+			deferred.resolve( "second" ).should.be.false();
+			deferred.reject( new Error( "third" ) ).should.be.false();
+
+			deferred.state.should.be.equal( "fulfilled" );
+
+			return deferred.promise.should.be.fulfilledWith( "first" );
+		} );
+
+		it( "ignores late attempts for settling promise while adopting another one", function() {
+			const deferred = PromiseUtil.defer();
+
+			deferred.resolve( PromiseUtil.delay( 10, "first" ) ).should.be.true();
+			deferred.reject( new Error( "second" ) ).should.be.false();
+
+			deferred.state.should.be.equal( "pending" );
+
+			return deferred.promise.should.be.fulfilledWith( "first" );
+		} );
+
+		it( "reports late attempts for settling promise to optional hook", function() {
+			const reports = [];
+			const error = new Error( "late" );
+			const deferred = PromiseUtil.defer( { onLateSettlement: ( action, value ) => reports.push( [ action, value ] ) } );
+
+			deferred.reject( new Error( "first" ) );
+			deferred.resolve( "late" );
+			deferred.reject( error );
+
+			reports.should.be.deepEqual( [ [ "resolve", "late" ], [ "reject", error ] ] );
+
+			return deferred.promise.should.be.rejectedWith( "first" );
+		} );
+
+		it( "rejects invalid late settlement hook", function() {
+			( () => PromiseUtil.defer( { onLateSettlement: "warn" } ) ).should.throw( TypeError );
+		} );
+	} );
+
+	describe( ".Semaphore", () => {
+		it( "limits number of consumers holding permits simultaneously", function() {
+			const semaphore = new PromiseUtil.Semaphore( 2 );
+			let running = 0, maxRunning = 0;
+
+			return PromiseUtil
+				.multiMap( [ 20, 10, 15, 5, 10 ], delay => semaphore.use( () => {
+					maxRunning = Math.max( maxRunning, ++running );
+
+					return PromiseUtil.delay( delay, delay ).then( value => {
+						running--;
+						return value;
+					} );
+				} ) )
+				.then( result => {
+					result.should.be.eql( [ 20, 10, 15, 5, 10 ] );
+					maxRunning.should.be.equal( 2 );
+					semaphore.available.should.be.equal( 2 );
+					semaphore.waiting.should.be.equal( 0 );
+				} );
+		} );
+
+		it( "supports weighted permits granted in order of request", function() {
+			const semaphore = new PromiseUtil.Semaphore( 3 );
+			const granted = [];
+
+			semaphore.tryAcquire( 2 ).should.be.true();
+
+			const large = semaphore.acquire( 3 ).then( () => granted.push( "large" ) );
+			const small = semaphore.acquire( 1 ).then( () => granted.push( "small" ) );
+
+			semaphore.available.should.be.equal( 1 );
+			semaphore.waiting.should.be.equal( 2 );
+			semaphore.tryAcquire( 1 ).should.be.false();
+
+			return PromiseUtil.delay( 10 )
 				.then( () => {
-					throw new Error( "processing stream should not succeed" );
-				}, error => {
-					error.should.be.Object().and.have.property( "code" ).and.equal( "EDESIRED" );
+					granted.should.be.empty();
+					semaphore.release( 2 );
 
-					Buffer.concat( processed ).toString( "utf8" ).should.be.String()
-						.and.equal( "Hello " );
+					return large;
+				} )
+				.then( () => {
+					granted.should.be.eql( ["large"] );
+					semaphore.release( 3 );
+
+					return small;
+				} )
+				.then( () => {
+					granted.should.be.eql( [ "large", "small" ] );
+					semaphore.available.should.be.equal( 2 );
+				} );
+		} );
+
+		it( "releases permits on function used with permits failing", function() {
+			const semaphore = new PromiseUtil.Semaphore( 2 );
+
+			return semaphore.use( () => { throw new Error( "failed" ); }, 2 )
+				.should.be.rejectedWith( "failed" )
+				.then( () => {
+					semaphore.available.should.be.equal( 2 );
+				} );
+		} );
+
+		it( "rejects with TimeoutError on waiting too long for permits", function() {
+			const semaphore = new PromiseUtil.Semaphore( 2 );
+
+			semaphore.tryAcquire( 1 ).should.be.true();
+
+			const blocked = semaphore.acquire( 2, { timeout: 20 } );
+			const next = semaphore.acquire( 1 );
+
+			return blocked.should.be.rejectedWith( PromiseUtil.TimeoutError )
+				.then( () => next )
+				.then( () => {
+					semaphore.available.should.be.equal( 0 );
+					semaphore.waiting.should.be.equal( 0 );
+				} );
+		} );
+
+		it( "rejects with AbortError on aborting request for permits", function() {
+			const semaphore = new PromiseUtil.Semaphore( 1 );
+			const controller = new AbortController();
+
+			semaphore.tryAcquire().should.be.true();
+
+			setTimeout( () => controller.abort( "stop" ), 10 );
+
+			return semaphore.acquire( 1, { signal: controller.signal } )
+				.should.be.rejectedWith( PromiseUtil.AbortError, { reason: "stop" } )
+				.then( () => {
+					semaphore.waiting.should.be.equal( 0 );
 				} );
 		} );
+
+		it( "rejects invalid numbers of permits", function() {
+			( () => new PromiseUtil.Semaphore( 0 ) ).should.throw( TypeError );
+			( () => new PromiseUtil.Semaphore( 2 ).acquire( 1.5 ) ).should.throw( TypeError );
+			( () => new PromiseUtil.Semaphore( 2 ).acquire( 3 ) ).should.throw( RangeError );
+			( () => new PromiseUtil.Semaphore( 2 ).release() ).should.throw( RangeError );
+		} );
 	} );
 
-	describe( ".promisify()", () => {
-		it( "promisifies function of NodeJS library", function() {
-			const { stat } = require( "fs" );
+	describe( ".Mutex", () => {
+		it( "grants exclusive access in order of request", function() {
+			const mutex = new PromiseUtil.Mutex();
+			const log = [];
 
-			stat.should.be.Function();
+			return Promise.all( [ 20, 5, 10 ].map( ( delay, index ) => mutex.use( () => {
+				log.push( `start ${index}` );
 
-			const promisifiedStat = PromiseUtil.promisify( stat );
+				return PromiseUtil.delay( delay ).then( () => log.push( `stop ${index}` ) );
+			} ) ) )
+				.then( () => {
+					log.should.be.eql( [ "start 0", "stop 0", "start 1", "stop 1", "start 2", "stop 2" ] );
+					mutex.locked.should.be.false();
+				} );
+		} );
 
-			promisifiedStat.should.be.Function();
+		it( "supports explicitly locking and unlocking", function() {
+			const mutex = new PromiseUtil.Mutex();
 
-			const promise = promisifiedStat( __dirname );
+			mutex.tryAcquire().should.be.true();
+			mutex.locked.should.be.true();
+			mutex.tryAcquire().should.be.false();
 
-			return promise.should.be.Promise().which.is.fulfilled();
+			const pending = mutex.acquire( { timeout: 10 } );
+
+			return pending.should.be.rejectedWith( PromiseUtil.TimeoutError )
+				.then( () => {
+					mutex.release();
+					mutex.locked.should.be.false();
+
+					return mutex.acquire();
+				} )
+				.then( () => {
+					mutex.locked.should.be.true();
+				} );
 		} );
+	} );
 
-		it( "returns rejected promise on calling promisified function of NodeJS library expected to fail", function() {
-			const { stat } = require( "fs" );
+	describe( ".Queue", () => {
+		it( "runs tasks up to configured concurrency", function() {
+			const queue = new PromiseUtil.Queue( { concurrency: 2 } );
+			let running = 0;
+			let max = 0;
 
-			const promisifiedStat = PromiseUtil.promisify( stat );
+			const task = () => {
+				max = Math.max( max, ++running );
 
-			const promise = promisifiedStat( require( "path" ).join( __dirname, "lots.of.nonsense.name.garbage" ) );
+				return PromiseUtil.delay( 5 ).then( () => running-- );
+			};
 
-			return promise.should.be.Promise().which.is.rejected();
+			return Promise.all( [ 1, 2, 3, 4, 5 ].map( () => queue.add( task ) ) )
+				.then( () => {
+					max.should.be.equal( 2 );
+					queue.pending.should.be.equal( 0 );
+					queue.size.should.be.equal( 0 );
+				} );
 		} );
 
-		it( "supports context object for binding promisified function to", function() {
-			/**
-			 * Implements some test function accepting NodeJS-style callback.
-			 *
-			 * @param {function(Error,*)} cb NodeJS-style callback
-			 */
-			function theFunction( cb ) {
-				setTimeout( cb, 100, null, ( this || {} ).theValue || "not found" );
-			}
+		it( "rejects invalid concurrency", function() {
+			( () => new PromiseUtil.Queue( { concurrency: 0 } ) ).should.throw( TypeError );
+			( () => new PromiseUtil.Queue( { concurrency: -1 } ) ).should.throw( TypeError );
+			( () => new PromiseUtil.Queue( { concurrency: 1.5 } ) ).should.throw( TypeError );
+		} );
 
-			const context = { theValue: "found" };
+		it( "rejects non-function tasks", function() {
+			const queue = new PromiseUtil.Queue();
 
-			const promisifiedUnboundFunction = PromiseUtil.promisify( theFunction );
-			const promisifiedBoundFunction = PromiseUtil.promisify( theFunction, context );
+			( () => queue.add( "task" ) ).should.throw( TypeError );
+		} );
 
-			const unboundPromise = promisifiedUnboundFunction();
-			const boundPromise = promisifiedBoundFunction();
+		it( "starts queued tasks in order of priority, FIFO among equal priorities", function() {
+			const queue = new PromiseUtil.Queue( { autoStart: false } );
+			const log = [];
 
-			return Promise.all( [ unboundPromise, boundPromise ] )
-				.should.be.fulfilledWith( [ "not found", "found" ] );
+			const tasks = [
+				queue.add( () => log.push( "a" ) ),
+				queue.add( () => log.push( "b" ), { priority: 2 } ),
+				queue.add( () => log.push( "c" ), { priority: 1 } ),
+				queue.add( () => log.push( "d" ), { priority: 2 } ),
+				queue.add( () => log.push( "e" ) ),
+			];
+
+			log.should.be.empty();
+			queue.size.should.be.equal( 5 );
+			queue.isPaused.should.be.true();
+
+			queue.resume();
+
+			return Promise.all( tasks )
+				.then( () => {
+					log.should.be.eql( [ "b", "d", "c", "a", "e" ] );
+				} );
+		} );
+
+		it( "promises result of task or rejects on task failing", function() {
+			const queue = new PromiseUtil.Queue();
+
+			return Promise.all( [
+				queue.add( () => PromiseUtil.delay( 2, "result" ) ).should.be.resolvedWith( "result" ),
+				queue.add( () => { throw new Error( "sync" ); } ).should.be.rejectedWith( "sync" ),
+				queue.add( () => Promise.reject( new Error( "async" ) ) ).should.be.rejectedWith( "async" ),
+				queue.add( () => "plain" ).should.be.resolvedWith( "plain" ),
+			] );
+		} );
+
+		it( "stops starting tasks while paused", function() {
+			const queue = new PromiseUtil.Queue();
+			const log = [];
+
+			queue.add( () => log.push( 1 ) );
+			queue.pause();
+			const pending = queue.add( () => log.push( 2 ) );
+
+			return PromiseUtil.delay( 10 )
+				.then( () => {
+					log.should.be.eql( [1] );
+					queue.size.should.be.equal( 1 );
+
+					queue.resume();
+
+					return pending;
+				} )
+				.then( () => {
+					log.should.be.eql( [ 1, 2 ] );
+				} );
+		} );
+
+		it( "rejects queued tasks on clearing queue without affecting running tasks", function() {
+			const queue = new PromiseUtil.Queue();
+
+			const running = queue.add( () => PromiseUtil.delay( 5, "done" ) );
+			const queued = queue.add( () => "never" );
+
+			queue.clear();
+			queue.size.should.be.equal( 0 );
+
+			return Promise.all( [
+				running.should.be.resolvedWith( "done" ),
+				queued.should.be.rejectedWith( PromiseUtil.AbortError ),
+			] );
+		} );
+
+		it( "promises queue becoming empty and idle", function() {
+			const queue = new PromiseUtil.Queue();
+			const log = [];
+
+			queue.add( () => PromiseUtil.delay( 5 ).then( () => log.push( "first" ) ) );
+			queue.add( () => PromiseUtil.delay( 5 ).then( () => log.push( "second" ) ) );
+
+			return Promise.all( [
+				queue.onEmpty().then( () => log.push( "empty" ) ),
+				queue.onIdle().then( () => log.push( "idle" ) ),
+			] )
+				.then( () => {
+					log.should.be.eql( [ "first", "empty", "second", "idle" ] );
+
+					return queue.onIdle();
+				} );
+		} );
+
+		it( "withdraws queued task on aborting signal", function() {
+			const queue = new PromiseUtil.Queue();
+			const controller = new AbortController();
+			const log = [];
+
+			queue.add( () => PromiseUtil.delay( 5 ) );
+			const withdrawn = queue.add( () => log.push( "withdrawn" ), { signal: controller.signal } );
+
+			controller.abort();
+
+			return withdrawn.should.be.rejectedWith( PromiseUtil.AbortError )
+				.then( () => queue.onIdle() )
+				.then( () => {
+					log.should.be.empty();
+				} );
+		} );
+
+		it( "rejects task on adding with aborted signal", function() {
+			const queue = new PromiseUtil.Queue();
+			const controller = new AbortController();
+
+			controller.abort();
+
+			return queue.add( () => "never", { signal: controller.signal } ).should.be.rejectedWith( PromiseUtil.AbortError );
+		} );
+
+		it( "passes signal to task", function() {
+			const queue = new PromiseUtil.Queue();
+			const controller = new AbortController();
+
+			return queue.add( signal => signal, { signal: controller.signal } ).should.be.resolvedWith( controller.signal );
 		} );
 	} );
 } );
 
+/**
+ * Pipes provided items through given transform stream collecting its output
+ * in provided array.
+ *
+ * @param {Array} items items to be written into transform stream
+ * @param {Transform} transform stream to be tested
+ * @param {Array} results collects objects or chunks read from transform stream
+ * @returns {Promise} promises pipeline finished
+ * @private
+ */
+function _pipeline( items, transform, results ) {
+	return new Promise( ( resolve, reject ) => {
+		Stream.pipeline(
+			Stream.Readable.from( items ),
+			transform,
+			new Stream.Writable( {
+				objectMode: true,
+				write: ( chunk, encoding, done ) => {
+					results.push( chunk );
+					done();
+				},
+			} ),
+			error => ( error ? reject( error ) : resolve() )
+		);
+	} );
+}
+
 /**
  * Returns readable stream for reading from optionally provided array of
  * items.
@@ -1658,3 +4739,24 @@ function _getStreamFromArray( { objectMode = true, highWaterMark = 1, items = []
 		}
 	} );
 }
+
+/**
+ * Returns asynchronously iterable collection delivering provided items with
+ * a delay.
+ *
+ * @param {Array} items items to deliver
+ * @param {int} delay delay in milliseconds per delivered item
+ * @returns {AsyncIterable}
+ * @private
+ */
+function _getAsyncIterable( items, delay = 2 ) {
+	return {
+		[Symbol.asyncIterator]() {
+			let index = 0;
+
+			return {
+				next: () => PromiseUtil.delay( delay, index < items.length ? { value: items[index++], done: false } : { done: true } ),
+			};
+		}
+	};
+}